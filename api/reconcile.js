@@ -0,0 +1,74 @@
+import { ethers } from 'ethers';
+import { PMMPositionFetcher } from '../pmmPositionFetcher.js';
+import { isValidChainId } from '../config.js';
+import { BLOCK_MODES } from '../core/chains.js';
+import { parseBlockTarget } from '../core/blocks.js';
+import { ExpectedPositions, parseExpectedCsv, parseTolerance } from '../core/reconcile.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let fetcher;
+
+  try {
+    const { pmmAddress, expected: expectedData, expectedCsv, targetBlocks, targetTime, tolerance, blockMode, debug } = req.body || {};
+    // targetTime (ISO timestamp or unix seconds) selects the last block at or before that time on every chain
+    const targetBlock = req.body?.targetBlock ?? (typeof targetTime === 'number' ? `@${targetTime}` : targetTime);
+
+    if (!pmmAddress || (!expectedData && !expectedCsv)) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    if (!ethers.isAddress(pmmAddress)) {
+      return res.status(400).json({ error: 'Invalid PMM address' });
+    }
+
+    if (blockMode && !BLOCK_MODES.includes(blockMode)) {
+      return res.status(400).json({ error: `Invalid block mode, expected one of: ${BLOCK_MODES.join(', ')}` });
+    }
+
+    // Expected positions as JSON (see core/reconcile.js) or as CSV text
+    let expected;
+    let target;
+    try {
+      expected = new ExpectedPositions(expectedData || parseExpectedCsv(String(expectedCsv)));
+      if (tolerance !== undefined && tolerance !== null) parseTolerance(tolerance);
+      target = parseBlockTarget(targetBlock);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!expected.chainIds.every(id => isValidChainId(id))) {
+      return res.status(400).json({ error: 'Unsupported chain ID' });
+    }
+
+    if (expected.chainIds.length > 1 && target.blockNumber !== undefined) {
+      return res.status(400).json({ error: 'Block numbers differ per chain, use targetBlocks or targetTime' });
+    }
+
+    fetcher = new PMMPositionFetcher({
+      ...(blockMode && { blockMode })
+    });
+
+    const report = await fetcher.reconcilePmmPositions(pmmAddress, expected, targetBlocks || targetBlock || null, { tolerance }, Boolean(debug));
+    res.json(report);
+
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    fetcher?.cleanup();
+  }
+}
@@ -1,75 +1,1060 @@
 #!/usr/bin/env node
 
-import { PMMPositionFetcher } from './pmmPositionFetcher.js';
-import { getChainConfig, SUPPORTED_CHAIN_IDS } from './config.js';
-import dotenv from 'dotenv';
+// Load environment variables before config.js reads them (quietly: stdout carries only the result)
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { PMMPositionFetcher, loadJsonFile, loadExpectedPositions } from './pmmPositionFetcher.js';
+import { getChainConfig, SUPPORTED_CHAIN_IDS, DEFAULT_CONFIG, CHAIN_CONFIGS } from './config.js';
+import { BLOCK_MODES, resolveChainId } from './core/chains.js';
+import { parseBlockTarget, toIsoTime } from './core/blocks.js';
+import { RiskPolicy } from './core/policy.js';
+import { AlertRules, AlertMonitor, WebhookNotifier } from './core/alerts.js';
+import { parseTolerance } from './core/reconcile.js';
+import { OUTPUT_FORMATS, formatResult, positionsView, diffView, seriesView, riskView, reconcileView, snapshotsView, tokensView, networkView } from './core/format.js';
+import { startMetricsServer } from './metricsServer.js';
+import { SnapshotStore } from './snapshotStore.js';
+import fs from 'fs';
 
-// Load environment variables
-dotenv.config();
+// Output format of printResult, set from --format in main()
+let outputFormat;
+
+// The command being run, for usage errors
+let activeCommand;
+
+// Store the CLI records snapshots in, created on first use
+let snapshotStore;
+
+const CHAIN_NAMES = SUPPORTED_CHAIN_IDS.map(chainId => `${CHAIN_CONFIGS[chainId].name.toLowerCase()} (${chainId})`).join(', ');
+const BLOCK_HELP = `block number, block mode (${BLOCK_MODES.join(', ')}), ISO timestamp or @<unix seconds>`;
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  format: { type: 'string', value: '<format>', description: `Output format: ${OUTPUT_FORMATS.join(', ')} (default: table on a terminal, else json)` },
+  rpc: { type: 'string', value: '<url>', description: 'RPC URL to use instead of the configured one (single chain only)' },
+  timeout: { type: 'string', value: '<seconds>', description: 'Timeout per RPC request' },
+  verbose: { type: 'boolean', short: 'v', description: 'Verbose progress output on stderr (the old "debug" argument)' },
+  help: { type: 'boolean', short: 'h', description: 'Show help for the command' }
+};
+
+const CHAIN_OPTION = { type: 'string', value: '<chain>', description: `Chain ID or name: ${CHAIN_NAMES}` };
+const CHAINS_OPTION = { ...CHAIN_OPTION, description: `${CHAIN_OPTION.description}; a comma-separated list or "all" for several chains` };
+const BLOCK_OPTION = { type: 'string', value: '<block>', description: `Target: ${BLOCK_HELP} (default: BLOCK_MODE, else latest)` };
+const INTERVAL_OPTION = { type: 'string', value: '<seconds|block>', description: 'Seconds between reads (default 15), or "block" to read on every new block (best with a wss:// RPC URL)' };
 
 /**
- * CLI tool for fetching PMM positions
- * Usage: node cli.js <pmmAddress> <chainId> [targetBlock] [debug]
+ * Commands: positional arguments (in order; each may also be given as the
+ * option of the same name), required arguments, options and help text
+ */
+const COMMANDS = {
+  positions: {
+    summary: 'Positions of one or more PMMs on one or more chains',
+    usage: '<pmmAddress[,pmmAddress...]> <chain> [block]',
+    args: ['pmmAddress', 'chain', 'block'],
+    required: ['pmmAddress', 'chain'],
+    options: { chain: CHAINS_OPTION, block: BLOCK_OPTION },
+    help: [
+      'Several chains give a cross-chain portfolio (one PMM address); several comma-separated',
+      'PMM addresses are read in one pass on one chain. Results are recorded in SNAPSHOT_FILE when set.'
+    ],
+    examples: [
+      '0x1234... --chain base',
+      '0x1234... --chain 1 --block 18500000 --verbose',
+      '0x1234... --chain all --block 2024-01-01T00:00:00Z',
+      '0x1234...,0x5678... --chain bsc --format csv'
+    ],
+    run: positions
+  },
+  diff: {
+    summary: 'What changed between two blocks or times',
+    usage: '<pmmAddress> <chain> <from> [to]',
+    args: ['pmmAddress', 'chain', 'from', 'to'],
+    required: ['pmmAddress', 'chain', 'from'],
+    options: {
+      chain: CHAIN_OPTION,
+      from: { type: 'string', value: '<block>', description: `Earlier target: ${BLOCK_HELP}` },
+      to: { type: 'string', value: '<block>', description: 'Later target (default: BLOCK_MODE, else latest)' }
+    },
+    examples: ['0x1234... --chain 1 --from 18500000 --to 18600000', '0x1234... --chain bsc --from 2024-01-01T00:00:00Z'],
+    run: diff
+  },
+  series: {
+    summary: 'Positions sampled every N blocks or minutes between two targets',
+    usage: '<pmmAddress> <chain> <from> <to> <every> [checkpoint]',
+    args: ['pmmAddress', 'chain', 'from', 'to', 'every', 'checkpoint'],
+    required: ['pmmAddress', 'chain', 'from', 'to', 'every'],
+    options: {
+      chain: CHAIN_OPTION,
+      from: { type: 'string', value: '<block>', description: `First target: ${BLOCK_HELP}` },
+      to: { type: 'string', value: '<block>', description: 'Last target' },
+      every: { type: 'string', value: '<interval>', description: 'Sample interval in blocks (e.g. 7200) or minutes (e.g. 60m)' },
+      checkpoint: { type: 'string', value: '<file>', description: 'JSONL file of fetched samples; an interrupted run resumes from it' }
+    },
+    examples: [
+      '0x1234... --chain 1 --from 18500000 --to latest --every 7200',
+      '0x1234... --chain bsc --from 2024-01-01T00:00:00Z --to 2024-01-08T00:00:00Z --every 60m --checkpoint series.jsonl'
+    ],
+    run: series
+  },
+  risk: {
+    summary: 'Risk summary: gross long/short, net exposure, largest short, concentration',
+    usage: '<pmmAddress> <chain> [block]',
+    args: ['pmmAddress', 'chain', 'block'],
+    required: ['pmmAddress', 'chain'],
+    options: { chain: CHAINS_OPTION, block: BLOCK_OPTION },
+    help: ['USD exposure uses PRICE_SOURCE (default: chainlink).'],
+    examples: ['0x1234... --chain bsc', '0x1234... --chain all --block 2024-01-01T00:00:00Z'],
+    run: risk
+  },
+  check: {
+    summary: 'Check PMMs against a risk limit policy',
+    usage: '<policyFile> <pmmAddress[,pmmAddress...]> <chain> [block]',
+    args: ['policyFile', 'pmmAddress', 'chain', 'block'],
+    required: ['policyFile', 'pmmAddress', 'chain'],
+    options: { chain: { ...CHAINS_OPTION, description: `${CHAINS_OPTION.description} (limits apply across chains)` }, block: BLOCK_OPTION },
+    help: [
+      'policyFile is JSON: maxShort per asset, maxGrossNotionalUsd, forbiddenTokens.',
+      'Exits 1 when any limit is breached and 2 when the check could not run.',
+      'USD limits use PRICE_SOURCE (default: chainlink).'
+    ],
+    examples: ['policy.json 0x1234... --chain bsc', 'policy.json 0x1234...,0x5678... --chain all --block confirmed'],
+    errorExitCode: 2,
+    run: check
+  },
+  watch: {
+    summary: 'Print a timestamped line per token change until interrupted',
+    usage: '<pmmAddress> <chain> [interval]',
+    args: ['pmmAddress', 'chain', 'interval'],
+    required: ['pmmAddress', 'chain'],
+    options: { chain: CHAIN_OPTION, interval: INTERVAL_OPTION },
+    help: ['Reads use BLOCK_MODE, so e.g. BLOCK_MODE=confirmed only reports reorg-safe changes.'],
+    examples: ['0x1234... --chain bsc', '0x1234... --chain 1 --interval 60', '0x1234... --chain bsc --interval block --rpc wss://...'],
+    run: watch
+  },
+  alert: {
+    summary: 'Watch a PMM and deliver alerts to a webhook until interrupted',
+    usage: '<rulesFile> <pmmAddress> <chain> [interval]',
+    args: ['rulesFile', 'pmmAddress', 'chain', 'interval'],
+    required: ['rulesFile', 'pmmAddress', 'chain'],
+    options: { chain: CHAIN_OPTION, interval: INTERVAL_OPTION },
+    help: [
+      'rulesFile is JSON alert rules: threshold, change, signFlip, fetchFailures.',
+      'Alerts are POSTed to ALERT_WEBHOOK_URL, else the webhookUrl in the rules file, and printed to stdout.'
+    ],
+    examples: ['alerts.json 0x1234... --chain bsc', 'alerts.json 0x1234... --chain 1 --interval block'],
+    run: alert
+  },
+  metrics: {
+    summary: 'Serve Prometheus metrics for PMM positions and fetch health',
+    usage: '<pmmAddress[,pmmAddress...]> <chain> [port] [interval]',
+    args: ['pmmAddress', 'chain', 'port', 'interval'],
+    required: ['pmmAddress', 'chain'],
+    options: {
+      chain: CHAINS_OPTION,
+      port: { type: 'string', value: '<port>', description: `HTTP port for GET /metrics (default METRICS_PORT, else ${DEFAULT_CONFIG.METRICS_PORT})` },
+      interval: { type: 'string', value: '<seconds>', description: `Seconds between reads (default METRICS_INTERVAL, else ${DEFAULT_CONFIG.METRICS_INTERVAL})` }
+    },
+    examples: ['0x1234... --chain all', '0x1234...,0x5678... --chain bsc --port 9464 --interval 30'],
+    run: metrics
+  },
+  history: {
+    summary: 'List, show and compare recorded snapshots',
+    usage: '<list [pmmAddress] [chain] | show <snapshotId> | compare <fromSnapshotId> <toSnapshotId>>',
+    args: ['action', 'first', 'second'],
+    required: ['action'],
+    options: { chain: { ...CHAIN_OPTION, description: 'Only list snapshots of this chain' } },
+    help: [
+      `Position queries (also risk and check) are recorded in SNAPSHOT_FILE when set (${DEFAULT_CONFIG.SNAPSHOT_FILE || 'off'}),`,
+      'one snapshot per chain, PMM and block.'
+    ],
+    examples: ['list 0x1234... --chain bsc', 'show 3', 'compare 3 7'],
+    run: history
+  },
+  reconcile: {
+    summary: 'Reconcile a PMM with an expected-positions file',
+    usage: '<expectedFile> <pmmAddress> [block] [tolerance]',
+    args: ['expectedFile', 'pmmAddress', 'block', 'tolerance'],
+    required: ['expectedFile', 'pmmAddress'],
+    options: {
+      block: { ...BLOCK_OPTION, description: `Target: ${BLOCK_HELP} (a block number only with one chain in the file)` },
+      tolerance: { type: 'string', value: '<tolerance>', description: 'Allowed difference: token units (e.g. 0.01) or basis points (e.g. 5bps)' }
+    },
+    help: [
+      'expectedFile is JSON, or CSV (.csv) with the header chainId,token,position[,tolerance];',
+      'token is an address, asset or symbol. Positions are read on every chain in the file.',
+      'Exits 1 on any break (difference beyond tolerance, missing on either side, unverifiable)',
+      'and 2 when the reconciliation could not run.'
+    ],
+    examples: ['ledger.csv 0x1234...', 'ledger.json 0x1234... --block 2024-01-01T00:00:00Z --tolerance 5bps'],
+    errorExitCode: 2,
+    run: reconcile
+  },
+  tokens: {
+    summary: 'List the LP tokens registered in a chain\'s CreditVault',
+    usage: '<chain> [block]',
+    args: ['chain', 'block'],
+    required: ['chain'],
+    options: {
+      chain: CHAIN_OPTION,
+      block: BLOCK_OPTION,
+      registered: { type: 'boolean', description: 'Also find the block each LP token was registered at (needs an archive RPC)' }
+    },
+    help: [
+      'Shows each token\'s allLPTokens index, LP and underlying address, symbol and decimals, and',
+      'whether its metadata fell back to the LP token\'s or the 18-decimal default.'
+    ],
+    examples: ['--chain bsc', '--chain base --block 2024-01-01T00:00:00Z --registered', '--chain 1 --format csv'],
+    run: tokens
+  },
+  network: {
+    summary: 'Check the RPC connection and head block of each chain',
+    usage: '[chain]',
+    args: ['chain'],
+    required: [],
+    options: { chain: { ...CHAINS_OPTION, description: `${CHAINS_OPTION.description} (default: all)` } },
+    examples: ['', '--chain base --rpc https://...'],
+    run: network
+  }
+};
+
+/**
+ * CLI tool for PMM positions.
+ * Usage: node cli.js <command> [arguments] [options]
+ *
+ * Each command takes its arguments positionally or as named options
+ * (`--chain base`, `--block 18500000`), plus the global options --format,
+ * --rpc, --timeout, --verbose and --help. Without a command, the arguments
+ * are those of `positions`, so `node cli.js <pmmAddress> <chainId> [targetBlock] [debug]`
+ * keeps working.
  */
 async function main() {
-  const args = process.argv.slice(2);
-  
-  if (args.length < 2) {
-    console.log('Usage: node cli.js <pmmAddress> <chainId> [targetBlock] [debug]');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  pmmAddress  - The PMM trader address');
-    console.log('  chainId     - The chain ID (1=ETH, 56=BSC, 42161=ARB, 8453=BASE)');
-    console.log('  targetBlock - Optional target block number (defaults to latest)');
-    console.log('  debug       - Optional debug flag to show verbose output');
-    console.log('');
-    console.log('Examples:');
-    console.log('  node cli.js 0x1234... 1');
-    console.log('  node cli.js 0x1234... 1 18500000');
-    console.log('  node cli.js 0x1234... 56 latest debug');
+  const argv = process.argv.slice(2);
+
+  if (argv.length === 0 || ['help', '--help', '-h'].includes(argv[0])) {
+    if (argv[1] && COMMANDS[argv[1]]) {
+      printCommandHelp(argv[1]);
+    } else {
+      printHelp();
+    }
+    process.exit(argv.length === 0 ? 1 : 0);
+  }
+
+  const name = COMMANDS[argv[0]] ? argv[0] : 'positions';
+  activeCommand = name;
+  const command = COMMANDS[name];
+
+  let opts;
+  try {
+    opts = parseCommandArgs(command, name === argv[0] ? argv.slice(1) : argv);
+  } catch (error) {
+    usageError(error.message);
+  }
+
+  if (opts.help) {
+    printCommandHelp(name);
+    process.exit(0);
+  }
+
+  const missing = command.required.filter(arg => opts[arg] === undefined);
+  if (missing.length > 0) {
+    usageError(`Missing ${missing.map(arg => (command.options[arg] ? `${arg} (--${arg})` : arg)).join(', ')}`);
+  }
+
+  outputFormat = opts.format ?? (process.stdout.isTTY ? 'table' : 'json');
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    usageError(`Invalid output format: ${outputFormat}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  if (opts.timeout !== undefined && !(Number(opts.timeout) > 0)) {
+    usageError(`Invalid timeout: ${opts.timeout}. Expected a positive number of seconds`);
+  }
+
+  return command.run(opts);
+}
+
+/**
+ * Parse a command's arguments: options by name, then positional arguments
+ * into the command's arguments not given as options, in order. A trailing
+ * "debug" argument turns on --verbose, as in the positional-only CLI.
+ * @returns {Object} Argument and option values by name
+ */
+function parseCommandArgs(command, argv) {
+  const options = { ...GLOBAL_OPTIONS, ...command.options };
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: Object.fromEntries(Object.entries(options).map(([name, { type, short }]) => [name, { type, ...(short && { short }) }])),
+    allowPositionals: true
+  });
+
+  if (positionals[positionals.length - 1] === 'debug') {
+    positionals.pop();
+    values.verbose = true;
+  }
+
+  const opts = { ...values };
+  const free = command.args.filter(arg => opts[arg] === undefined);
+  if (positionals.length > free.length) {
+    throw new Error(`Unexpected argument: ${positionals[free.length]}`);
+  }
+  positionals.forEach((value, i) => {
+    opts[free[i]] = value;
+  });
+  return opts;
+}
+
+function printHelp() {
+  console.log('Usage: node cli.js <command> [arguments] [options]');
+  console.log('');
+  console.log('Commands:');
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(width)}  ${command.summary}`);
+  }
+  console.log('');
+  console.log('Global options:');
+  printOptions(GLOBAL_OPTIONS);
+  console.log('');
+  console.log('Run "node cli.js <command> --help" for the arguments of a command.');
+  console.log('Without a command, the arguments are those of positions:');
+  console.log('  node cli.js <pmmAddress[,pmmAddress...]> <chainId> [targetBlock] [debug]');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli.js positions 0x1234... --chain base');
+  console.log('  node cli.js 0x1234... 56 latest debug');
+  console.log('  node cli.js diff 0x1234... --chain 1 --from 2024-01-01T00:00:00Z');
+  console.log('  node cli.js network');
+  console.log('  node cli.js tokens --chain bsc --registered');
+}
+
+function printCommandHelp(name) {
+  const command = COMMANDS[name];
+  console.log(`Usage: node cli.js ${name} ${command.usage} [options]`);
+  console.log('');
+  console.log(command.summary);
+  for (const line of command.help || []) {
+    console.log(line);
+  }
+  console.log('');
+  console.log('Options:');
+  printOptions({ ...command.options, ...GLOBAL_OPTIONS });
+  console.log('');
+  console.log('Examples:');
+  for (const example of command.examples) {
+    console.log(`  node cli.js ${name} ${example}`.trimEnd());
+  }
+}
+
+function printOptions(options) {
+  const flags = Object.entries(options).map(([name, option]) => [
+    `${option.short ? `-${option.short}, ` : '    '}--${name}${option.value ? ` ${option.value}` : ''}`,
+    option.description
+  ]);
+  const width = Math.max(...flags.map(([flag]) => flag.length));
+  for (const [flag, description] of flags) {
+    console.log(`  ${flag.padEnd(width)}  ${description}`);
+  }
+}
+
+/**
+ * Report invalid arguments and exit with the command's error exit code
+ */
+function usageError(message, ...details) {
+  console.error(message);
+  for (const detail of details) {
+    console.error(`   ${detail}`);
+  }
+  console.error(`Run "node cli.js ${activeCommand} --help" for usage.`);
+  process.exit(COMMANDS[activeCommand].errorExitCode ?? 1);
+}
+
+/**
+ * Parse a --chain value: chain IDs or names, comma-separated, or "all"
+ * @returns {number[]} Chain IDs
+ */
+function parseChains(value, { single = false } = {}) {
+  const chainIds = value === 'all'
+    ? SUPPORTED_CHAIN_IDS
+    : String(value).split(',').map(chain => chain.trim()).filter(Boolean).map(chain => {
+      const chainId = resolveChainId(chain, CHAIN_CONFIGS);
+      if (chainId === null) {
+        usageError(`Unsupported chain: ${chain}`, `Supported chains: ${CHAIN_NAMES}`);
+      }
+      return chainId;
+    });
+
+  if (chainIds.length === 0) {
+    usageError(`Invalid chain: ${value}`, `Supported chains: ${CHAIN_NAMES}`);
+  }
+  if (single && chainIds.length > 1) {
+    usageError(`${activeCommand} takes a single chain`);
+  }
+  return chainIds;
+}
+
+/**
+ * Parse comma-separated PMM addresses
+ */
+function parsePmmAddresses(value, { single = false } = {}) {
+  const pmmAddresses = String(value).split(',').map(address => address.trim()).filter(Boolean);
+  for (const pmmAddress of pmmAddresses) {
+    if (!ethers.isAddress(pmmAddress)) {
+      usageError(`Invalid PMM address: ${pmmAddress}`);
+    }
+  }
+  if (pmmAddresses.length === 0 || (single && pmmAddresses.length > 1)) {
+    usageError(`${activeCommand} takes a single PMM address`);
+  }
+  return pmmAddresses;
+}
+
+/**
+ * Parse a --block value (see parseBlockTarget)
+ */
+function parseTarget(value) {
+  try {
+    return parseBlockTarget(value);
+  } catch (error) {
+    usageError(error.message);
+  }
+}
+
+/**
+ * Parse a watch interval: seconds or "block"
+ */
+function parseWatchInterval(value) {
+  if (value !== undefined && value !== 'block' && !/^[1-9]\d*$/.test(value)) {
+    usageError(`Invalid interval: ${value}`, 'Expected a number of seconds or "block"');
+  }
+  return value === 'block' ? { onNewBlock: true } : { ...(value && { interval: Number(value) * 1000 }) };
+}
+
+/**
+ * Create a fetcher logging to stderr (stdout carries the result), with the
+ * --rpc and --timeout options applied
+ */
+function createFetcher(opts, chainIds, options = {}) {
+  if (opts.rpc && chainIds.length > 1) {
+    usageError('--rpc applies to a single chain');
+  }
+  return new PMMPositionFetcher({
+    logger: { log: console.error, warn: console.warn, error: console.error },
+    ...(opts.rpc && { rpcUrl: opts.rpc }),
+    ...(opts.timeout && { requestTimeout: Number(opts.timeout) * 1000 }),
+    ...options
+  });
+}
+
+/**
+ * Positions of one or more PMMs on one chain, or of one PMM across chains
+ * Usage: node cli.js [positions] <pmmAddress[,pmmAddress...]> <chain|all|chain,chain> [block]
+ */
+async function positions(opts) {
+  const pmmAddresses = parsePmmAddresses(opts.pmmAddress);
+  const chainIds = parseChains(opts.chain);
+  const isPortfolio = opts.chain === 'all' || chainIds.length > 1;
+  const target = parseTarget(opts.block);
+  const blockMode = target.mode ?? null;
+  // Block numbers are passed as numbers, timestamps as given (resolved per chain)
+  const targetBlock = target.blockNumber ?? (target.timestamp !== undefined ? opts.block : null);
+  const debug = Boolean(opts.verbose);
+
+  if (isPortfolio && pmmAddresses.length > 1) {
+    usageError('Querying several PMM addresses across several chains is not supported');
+  }
+
+  if (isPortfolio && target.blockNumber !== undefined) {
+    usageError('A target block cannot be applied across several chains');
+  }
+
+  const fetcher = createFetcher(opts, chainIds, { ...(blockMode && { blockMode }) });
+
+  try {
+    if (debug) {
+      console.error('PMM Position Fetcher CLI\n');
+      console.error(`   PMM Address: ${pmmAddresses.join(', ')}`);
+      console.error(`   Chain ID: ${chainIds.join(', ')}`);
+      console.error(`   Target Block: ${targetBlock || blockMode || 'default'}`);
+      console.error('');
+    }
+
+    let result;
+    if (isPortfolio) {
+      result = await fetcher.listPortfolioPositions(pmmAddresses[0], chainIds, targetBlock, debug);
+    } else if (pmmAddresses.length > 1) {
+      result = await fetcher.listPmmPositionsForMany(pmmAddresses, chainIds[0], targetBlock, debug);
+    } else {
+      result = await fetcher.listPmmPositions(pmmAddresses[0], chainIds[0], targetBlock, debug);
+    }
+
+    printResult(result, positionsView(result));
+    recordSnapshots(result);
+    warnIncomplete(result);
+
+  } catch (error) {
+    console.error('Error:', error.message);
     process.exit(1);
+  } finally {
+    fetcher.cleanup();
   }
+}
+
+/**
+ * Diff a PMM's positions between two blocks or times
+ * Usage: node cli.js diff <pmmAddress> <chain> <from> [to]
+ */
+async function diff(opts) {
+  const [pmmAddress] = parsePmmAddresses(opts.pmmAddress, { single: true });
+  const [chainId] = parseChains(opts.chain, { single: true });
+  const fromBlock = parseTarget(opts.from).blockNumber ?? opts.from;
+  const toBlock = opts.to ? parseTarget(opts.to).blockNumber ?? opts.to : null;
 
-  const [pmmAddress, chainIdStr, targetBlockStr, debugFlag] = args;
-  const chainId = parseInt(chainIdStr);
-  const targetBlock = targetBlockStr === 'latest' || !targetBlockStr ? null : parseInt(targetBlockStr);
-  const debug = debugFlag === 'debug';
+  const fetcher = createFetcher(opts, [chainId]);
+  try {
+    const result = await fetcher.diffPmmPositions(pmmAddress, chainId, fromBlock, toBlock, Boolean(opts.verbose));
 
-  // Validate inputs
-  if (!ethers.isAddress(pmmAddress)) {
-    console.error('Invalid PMM address:', pmmAddress);
+    printResult(result, diffView(result));
+    warnIncomplete(result);
+
+  } catch (error) {
+    console.error('Error:', error.message);
     process.exit(1);
+  } finally {
+    fetcher.cleanup();
   }
+}
 
-  if (!SUPPORTED_CHAIN_IDS.includes(chainId)) {
-    console.error('Unsupported chain ID:', chainId);
-    console.error('   Supported chains:', SUPPORTED_CHAIN_IDS.join(', '));
+/**
+ * Sample a PMM's positions every N blocks or minutes between two targets
+ * Usage: node cli.js series <pmmAddress> <chain> <from> <to> <every> [checkpoint]
+ */
+async function series(opts) {
+  const [pmmAddress] = parsePmmAddresses(opts.pmmAddress, { single: true });
+  const [chainId] = parseChains(opts.chain, { single: true });
+  const checkpointFile = opts.checkpoint;
+
+  const interval = /^(\d+)(m?)$/.exec(opts.every);
+  if (!interval || Number(interval[1]) === 0) {
+    usageError(`Invalid interval: ${opts.every}`, 'Expected a number of blocks (e.g. 7200) or minutes (e.g. 60m)');
+  }
+
+  const fromBlock = parseTarget(opts.from).blockNumber ?? opts.from;
+  const toBlock = parseTarget(opts.to).blockNumber ?? opts.to;
+
+  const checkpointText = checkpointFile && fs.existsSync(checkpointFile) ? fs.readFileSync(checkpointFile, 'utf8') : '';
+  const resumeSamples = readCheckpoint(checkpointFile, checkpointText);
+  if (resumeSamples.length > 0) {
+    console.error(`Resuming with ${resumeSamples.length} samples from ${checkpointFile}`);
+  }
+  // Start a new line after a line cut short by an interrupted write
+  let separator = checkpointText && !checkpointText.endsWith('\n') ? '\n' : '';
+
+  const fetcher = createFetcher(opts, [chainId]);
+  try {
+    const result = await fetcher.listPmmPositionSeries(pmmAddress, chainId, fromBlock, toBlock, {
+      ...(interval[2] ? { everyMinutes: Number(interval[1]) } : { everyBlocks: Number(interval[1]) }),
+      resumeSamples,
+      onSample: checkpointFile && (sample => {
+        fs.appendFileSync(checkpointFile, separator + JSON.stringify(sample) + '\n');
+        separator = '';
+      })
+    }, Boolean(opts.verbose));
+
+    printResult(result, seriesView(result));
+
+    if (result.summary.samplesFailed > 0) {
+      console.error(`${result.summary.samplesFailed} samples failed; run again to retry them`);
+      process.exit(1);
+    }
+    warnIncomplete(result);
+
+  } catch (error) {
+    console.error('Error:', error.message);
     process.exit(1);
+  } finally {
+    fetcher.cleanup();
+  }
+}
+
+/**
+ * Parse the samples of a series checkpoint file. A line cut short by an
+ * interrupted run is skipped (its block is fetched again).
+ */
+function readCheckpoint(checkpointFile, text) {
+  const samples = [];
+  text.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      samples.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`⚠️  Skipping unreadable line ${i + 1} of ${checkpointFile}: ${error.message}`);
+    }
+  });
+  return samples;
+}
+
+/**
+ * Print the risk summary of a PMM's positions on one chain or across chains.
+ * Positions are priced with PRICE_SOURCE, defaulting to the Chainlink feeds.
+ * Usage: node cli.js risk <pmmAddress> <chain|all|chain,chain> [block]
+ */
+async function risk(opts) {
+  const [pmmAddress] = parsePmmAddresses(opts.pmmAddress, { single: true });
+  const chainIds = parseChains(opts.chain);
+  const isPortfolio = opts.chain === 'all' || chainIds.length > 1;
+  const target = parseTarget(opts.block);
+  const debug = Boolean(opts.verbose);
+
+  if (isPortfolio && target.blockNumber !== undefined) {
+    usageError('A target block cannot be applied across several chains');
   }
 
+  const fetcher = createFetcher(opts, chainIds, { priceSource: DEFAULT_CONFIG.PRICE_SOURCE || 'chainlink' });
   try {
-    if (debug) {
-      console.log('PMM Position Fetcher CLI\n');
-      console.log(`   PMM Address: ${pmmAddress}`);
-      console.log(`   Chain ID: ${chainId}`);
-      console.log(`   Target Block: ${targetBlock || 'latest'}`);
-      console.log('');
+    const targetBlock = target.blockNumber ?? opts.block ?? null;
+    const result = isPortfolio
+      ? await fetcher.listPortfolioPositions(pmmAddress, chainIds, targetBlock, debug)
+      : await fetcher.listPmmPositions(pmmAddress, chainIds[0], targetBlock, debug);
+
+    printResult({
+      pmmAddress,
+      ...(isPortfolio
+        ? { chains: result.chains.map(({ chainId, chainName, blockNumber, blockTimestamp }) => ({ chainId, chainName, blockNumber, blockTimestamp })) }
+        : { chainId: result.chainId, chainName: result.chainName, blockNumber: result.blockNumber, blockTimestamp: result.blockTimestamp }),
+      risk: result.risk,
+      errors: result.errors,
+      complete: result.complete
+    }, riskView(result.risk));
+    recordSnapshots(result);
+    warnIncomplete(result);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  } finally {
+    fetcher.cleanup();
+  }
+}
+
+/**
+ * Check fresh snapshots of one or more PMMs against a risk limit policy
+ * (see core/policy.js) and print every breach.
+ * Exit code: 0 when every PMM passes, 1 on any breach, 2 when a check could not run.
+ * Usage: node cli.js check <policyFile> <pmmAddress[,pmmAddress...]> <chain|all|chain,chain> [block]
+ */
+async function check(opts) {
+  const pmmAddresses = parsePmmAddresses(opts.pmmAddress);
+  const chainIds = parseChains(opts.chain);
+  const isPortfolio = opts.chain === 'all' || chainIds.length > 1;
+  const target = parseTarget(opts.block);
+  const debug = Boolean(opts.verbose);
+
+  let policy;
+  try {
+    policy = new RiskPolicy(loadJsonFile(opts.policyFile));
+  } catch (error) {
+    console.error(`Invalid policy file ${opts.policyFile}:`, error.message);
+    process.exit(2);
+  }
+
+  if (isPortfolio && target.blockNumber !== undefined) {
+    usageError('A target block cannot be applied across several chains');
+  }
+
+  const fetcher = createFetcher(opts, chainIds, { priceSource: DEFAULT_CONFIG.PRICE_SOURCE || 'chainlink' });
+  const targetBlock = target.blockNumber ?? opts.block ?? null;
+  let breached = false;
+
+  try {
+    for (const pmmAddress of pmmAddresses) {
+      const result = isPortfolio
+        ? await fetcher.listPortfolioPositions(pmmAddress, chainIds, targetBlock, debug)
+        : await fetcher.listPmmPositions(pmmAddress, chainIds[0], targetBlock, debug);
+      recordSnapshots(result);
+      const { passed, breaches } = policy.check(result);
+      const blocks = (result.chains || [result]).map(chain => `${chain.chainName} #${chain.blockNumber}`).join(', ');
+
+      if (passed) {
+        console.log(`✅ ${pmmAddress} (${blocks}): all limits met`);
+      } else {
+        breached = true;
+        console.log(`❌ ${pmmAddress} (${blocks}): ${breaches.length} breach(es)`);
+        for (const breach of breaches) {
+          console.log(`   [${breach.rule}] ${breach.message}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(2);
+  } finally {
+    fetcher.cleanup();
+  }
+
+  process.exit(breached ? 1 : 0);
+}
+
+/**
+ * Watch a PMM's positions and print a timestamped line per token change
+ * until interrupted (Ctrl+C)
+ * Usage: node cli.js watch <pmmAddress> <chain> [intervalSeconds|block]
+ */
+async function watch(opts) {
+  const [pmmAddress] = parsePmmAddresses(opts.pmmAddress, { single: true });
+  const [chainId] = parseChains(opts.chain, { single: true });
+  const interval = parseWatchInterval(opts.interval);
+  const debug = Boolean(opts.verbose);
+
+  const fetcher = createFetcher(opts, [chainId]);
+
+  let watcher;
+  try {
+    watcher = await fetcher.watchPmmPositions(pmmAddress, chainId, interval, debug);
+  } catch (error) {
+    console.error('Error:', error.message);
+    fetcher.cleanup();
+    process.exit(1);
+  }
+
+  const { snapshot } = watcher;
+  console.error(`Watching ${pmmAddress} on ${snapshot.chainName} from block ${snapshot.blockNumber}: ${snapshot.positions.length} positions (Ctrl+C to stop)`);
+  warnIncomplete(snapshot);
+
+  watcher.on('change', change => {
+    const delta = change.delta.startsWith('-') ? change.deltaFormatted : `+${change.deltaFormatted}`;
+    console.log(`${toIsoTime(change.blockTimestamp)}  #${change.blockNumber}  ${change.tokenSymbol}  ${change.status}  ` +
+      `${change.beforeFormatted} -> ${change.afterFormatted} (${delta})`);
+  });
+  watcher.on('update', result => {
+    if (debug) console.error(`Read block ${result.blockNumber}`);
+    warnIncomplete(result);
+  });
+  watcher.on('error', error => {
+    console.error(`⚠️  Read failed, retrying on the next tick: ${error.message}`);
+  });
+
+  const shutdown = () => {
+    console.error('Stopping...');
+    fetcher.cleanup();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Watch a PMM's positions and deliver alerts from a rules file (see
+ * core/alerts.js) to a webhook until interrupted (Ctrl+C)
+ * Usage: node cli.js alert <rulesFile> <pmmAddress> <chain> [intervalSeconds|block]
+ */
+async function alert(opts) {
+  let rules;
+  let notifier = null;
+  try {
+    rules = new AlertRules(loadJsonFile(opts.rulesFile));
+    const webhookUrl = DEFAULT_CONFIG.ALERT_WEBHOOK_URL || rules.webhookUrl;
+    if (webhookUrl) notifier = new WebhookNotifier(webhookUrl);
+  } catch (error) {
+    console.error(`Invalid alert rules ${opts.rulesFile}:`, error.message);
+    process.exit(1);
+  }
+
+  const [pmmAddress] = parsePmmAddresses(opts.pmmAddress, { single: true });
+  const [chainId] = parseChains(opts.chain, { single: true });
+  const interval = parseWatchInterval(opts.interval);
+
+  if (!notifier) {
+    console.error('⚠️  No webhook URL configured (ALERT_WEBHOOK_URL or webhookUrl), alerts are only printed');
+  }
+
+  const fetcher = createFetcher(opts, [chainId]);
+
+  let watcher;
+  try {
+    watcher = await fetcher.watchPmmPositions(pmmAddress, chainId, interval, Boolean(opts.verbose));
+  } catch (error) {
+    console.error('Error:', error.message);
+    fetcher.cleanup();
+    process.exit(1);
+  }
+
+  new AlertMonitor(rules, {
+    logger: { log: console.error, warn: console.warn, error: console.error },
+    notify: async alert => {
+      console.log(`${new Date().toISOString()}  [${alert.status}] ${alert.rule}: ${alert.message}`);
+      await notifier?.send(alert);
+    }
+  }).attach(watcher);
+
+  console.error(`Alerting on ${pmmAddress} on ${watcher.snapshot.chainName} from block ${watcher.snapshot.blockNumber} ` +
+    `with ${rules.rules.length} rule(s) (Ctrl+C to stop)`);
+
+  const shutdown = () => {
+    console.error('Stopping...');
+    fetcher.cleanup();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Serve Prometheus metrics for PMM positions and fetch health until interrupted (Ctrl+C)
+ * Usage: node cli.js metrics <pmmAddress[,pmmAddress...]> <chain|all|chain,chain> [port] [intervalSeconds]
+ */
+async function metrics(opts) {
+  const pmmAddresses = parsePmmAddresses(opts.pmmAddress);
+  const chainIds = parseChains(opts.chain);
+  const port = opts.port ? parseInt(opts.port) : DEFAULT_CONFIG.METRICS_PORT;
+  const interval = opts.interval ? parseInt(opts.interval) : DEFAULT_CONFIG.METRICS_INTERVAL;
+
+  if (!(port > 0 && port < 65536) || !(interval > 0)) {
+    usageError(`Invalid port or interval: ${opts.port}, ${opts.interval}`);
+  }
+  if (opts.rpc && chainIds.length > 1) {
+    usageError('--rpc applies to a single chain');
+  }
+
+  let exporter;
+  try {
+    exporter = await startMetricsServer({
+      pmmAddresses,
+      chainIds,
+      port,
+      interval: interval * 1000,
+      logger: { log: console.error, warn: console.warn, error: console.error },
+      fetcherOptions: {
+        ...(opts.rpc && { rpcUrl: opts.rpc }),
+        ...(opts.timeout && { requestTimeout: Number(opts.timeout) * 1000 })
+      }
+    });
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+
+  console.error(`Serving metrics for ${pmmAddresses.length} PMM(s) on chains ${chainIds.join(', ')} ` +
+    `at http://localhost:${port}/metrics, reading every ${interval}s (Ctrl+C to stop)`);
+
+  const shutdown = async () => {
+    console.error('Stopping...');
+    await exporter.stop();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+/**
+ * Reconcile a PMM's on-chain positions with an expected-positions file (see
+ * core/reconcile.js) and print the machine-readable report.
+ * Exit code: 0 when everything matches, 1 on any break, 2 when the reconciliation could not run.
+ * Usage: node cli.js reconcile <expectedFile> <pmmAddress> [block] [tolerance]
+ */
+async function reconcile(opts) {
+  let expected;
+  try {
+    expected = loadExpectedPositions(opts.expectedFile);
+  } catch (error) {
+    console.error(`Invalid expected positions ${opts.expectedFile}:`, error.message);
+    process.exit(2);
+  }
+
+  const [pmmAddress] = parsePmmAddresses(opts.pmmAddress, { single: true });
+
+  for (const id of expected.chainIds) {
+    if (!SUPPORTED_CHAIN_IDS.includes(id)) {
+      usageError(`Unsupported chain ID in ${opts.expectedFile}: ${id}`, `Supported chains: ${CHAIN_NAMES}`);
     }
+  }
+
+  const targetBlock = parseTarget(opts.block).blockNumber ?? opts.block ?? null;
+  if (opts.tolerance !== undefined) {
+    try {
+      parseTolerance(opts.tolerance);
+    } catch (error) {
+      usageError(error.message);
+    }
+  }
 
-    const fetcher = new PMMPositionFetcher();
-    const result = await fetcher.listPmmPositions(pmmAddress, chainId, targetBlock, debug);
-    
-    // Output results as JSON
-    console.log(JSON.stringify(result, null, 2));
+  const fetcher = createFetcher(opts, expected.chainIds);
 
+  let report;
+  try {
+    report = await fetcher.reconcilePmmPositions(pmmAddress, expected, targetBlock, { tolerance: opts.tolerance }, Boolean(opts.verbose));
   } catch (error) {
     console.error('Error:', error.message);
+    process.exit(2);
+  } finally {
+    fetcher.cleanup();
+  }
+
+  printResult(report, reconcileView(report));
+
+  const blocks = report.chains.map(chain => `${chain.chainName} #${chain.blockNumber}`).join(', ');
+  if (report.reconciled) {
+    console.error(`✅ ${pmmAddress} (${blocks}): ${report.summary.match} position(s) reconciled`);
+  } else {
+    console.error(`❌ ${pmmAddress} (${blocks}): ${report.breaks.length} break(s)`);
+    for (const entry of report.breaks) {
+      const amounts = [
+        entry.expectedFormatted !== undefined && `expected ${entry.expectedFormatted}`,
+        entry.actualFormatted !== undefined && `actual ${entry.actualFormatted}`,
+        entry.differenceFormatted !== undefined && `difference ${entry.differenceFormatted}`
+      ].filter(Boolean).join(', ');
+      console.error(`   [${entry.status}] ${entry.chainName ?? entry.chainId} ${entry.token}: ${amounts}${entry.reason ? ` (${entry.reason})` : ''}`);
+    }
+  }
+
+  process.exit(report.reconciled ? 0 : 1);
+}
+
+/**
+ * List, show and compare the position snapshots recorded in SNAPSHOT_FILE
+ * Usage: node cli.js history list [pmmAddress] [chain]
+ *        node cli.js history show <snapshotId>
+ *        node cli.js history compare <fromSnapshotId> <toSnapshotId>
+ */
+async function history(opts) {
+  const { action, first, second } = opts;
+  if (!['list', 'show', 'compare'].includes(action)) {
+    usageError(`Unknown history action: ${action}`, 'Expected list, show or compare');
+  }
+  if ((action === 'show' && first === undefined) || (action === 'compare' && second === undefined)) {
+    usageError(`Missing snapshot ID for history ${action}`);
+  }
+
+  if (!DEFAULT_CONFIG.SNAPSHOT_FILE) {
+    console.error('The snapshot store is off (set SNAPSHOT_FILE to record position queries)');
     process.exit(1);
   }
+
+  const store = new SnapshotStore(DEFAULT_CONFIG.SNAPSHOT_FILE, {
+    logger: { log: console.error, warn: console.warn, error: console.error }
+  });
+
+  try {
+    if (action === 'list') {
+      const [pmmAddress] = first ? parsePmmAddresses(first, { single: true }) : [];
+      const chain = opts.chain ?? second;
+      const [chainId] = chain ? parseChains(chain, { single: true }) : [];
+
+      const snapshots = store.list({ pmmAddress, chainId });
+      if (snapshots.length === 0) {
+        console.error(`No snapshots in ${DEFAULT_CONFIG.SNAPSHOT_FILE}`);
+      }
+      printResult(snapshots, snapshotsView(snapshots));
+    }
+
+    if (action === 'show') {
+      const { result } = store.get(first);
+      printResult(result, positionsView(result));
+    }
+
+    if (action === 'compare') {
+      const result = store.compare(first, second);
+      printResult(result, diffView(result));
+      warnIncomplete(result);
+    }
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * List the LP tokens registered in a chain's CreditVault at a block
+ * Usage: node cli.js tokens <chain> [block] [--registered]
+ */
+async function tokens(opts) {
+  const [chainId] = parseChains(opts.chain, { single: true });
+  const target = parseTarget(opts.block);
+  const targetBlock = target.blockNumber ?? opts.block ?? null;
+
+  const fetcher = createFetcher(opts, [chainId]);
+  try {
+    const result = await fetcher.listLPTokens(chainId, targetBlock, { registeredBlocks: Boolean(opts.registered) }, Boolean(opts.verbose));
+
+    printResult(result, tokensView(result));
+    warnIncomplete(result);
+
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  } finally {
+    fetcher.cleanup();
+  }
+}
+
+/**
+ * Check the RPC connection and head block of each chain
+ * Usage: node cli.js network [chain|all|chain,chain]
+ */
+async function network(opts) {
+  const chainIds = parseChains(opts.chain ?? 'all');
+  const fetcher = createFetcher(opts, chainIds);
+
+  const rows = await Promise.all(chainIds.map(async chainId => {
+    const { name } = getChainConfig(chainId);
+    try {
+      const info = await fetcher.getNetworkInfo(chainId);
+      return { chainId, chainName: name, network: info.name, blockNumber: info.blockNumber, rpcUrl: info.provider, error: null };
+    } catch (error) {
+      return { chainId, chainName: name, network: null, blockNumber: null, rpcUrl: opts.rpc || getChainConfig(chainId).rpcUrl, error: error.message };
+    }
+  }));
+  fetcher.cleanup();
+
+  printResult(rows, networkView(rows));
+  if (rows.some(row => row.error)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Record the listPmmPositions results in a CLI result (single, per-address or
+ * per-chain) in SNAPSHOT_FILE. A failed write is reported but does not fail the run.
+ */
+function recordSnapshots(result) {
+  if (!DEFAULT_CONFIG.SNAPSHOT_FILE) return;
+
+  snapshotStore ??= new SnapshotStore(DEFAULT_CONFIG.SNAPSHOT_FILE, {
+    logger: { log: console.error, warn: console.warn, error: console.error }
+  });
+  try {
+    for (const snapshot of result.chains || result.results || [result]) {
+      snapshotStore.record(snapshot);
+    }
+  } catch (error) {
+    console.error(`⚠️  Could not record the snapshot in ${DEFAULT_CONFIG.SNAPSHOT_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Print a result in the --format output format
+ * @param {Object} result - The result (printed whole as json)
+ * @param {Object} view - Its rows and columns (see core/format.js)
+ */
+function printResult(result, view) {
+  const output = formatResult(result, view, outputFormat);
+  if (output) console.log(output);
+}
+
+/**
+ * Point out failed lookups on stderr so a partial result is not mistaken for a complete one
+ */
+function warnIncomplete(result) {
+  if (result.complete) return;
+
+  // Portfolio results keep token failures in their per-chain sections
+  const errors = [...result.errors, ...(result.chains || []).flatMap(chain => chain.errors)];
+  console.error(`⚠️  Result is incomplete: ${errors.length} lookup(s) failed (set STRICT=true to fail instead)`);
+  for (const error of errors) {
+    console.error(`   ${error.tokenSymbol ?? error.chainName ?? `block ${error.blockNumber}`}: ${error.stage ? `${error.stage}: ` : ''}${error.reason ?? error.error}`);
+  }
 }
 
 // Import ethers for validation
 import { ethers } from 'ethers';
 
 // Run the CLI
-main();
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exitCode = 1;
+});
@@ -1,59 +1,66 @@
-// Chain configurations for multichain support
+import { CHAINS, CONFIRMATION_BLOCKS } from './core/chains.js';
+
+// Chain configurations for multichain support.
+// Defaults live in core/chains.js (shared with the web UI); RPC URLs and
+// CreditVault addresses can be overridden per chain through the environment.
 export const CHAIN_CONFIGS = {
   // Ethereum Mainnet
   1: {
-    name: 'Ethereum',
-    rpcUrl: process.env.ETH_RPC_URL || 'https://eth.llamarpc.com',
-    creditVaultAddress: process.env.ETH_CREDIT_VAULT_ADDRESS || '0xe3D41d19564922C9952f692C5Dd0563030f5f2EF',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://etherscan.io',
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18
-    }
+    ...CHAINS[1],
+    rpcUrl: process.env.ETH_RPC_URL || CHAINS[1].rpcUrl,
+    creditVaultAddress: process.env.ETH_CREDIT_VAULT_ADDRESS || CHAINS[1].creditVaultAddress
   },
   
   // BSC (Binance Smart Chain)
   56: {
-    name: 'BSC',
-    rpcUrl: process.env.BSC_RPC_URL || 'https://bsc.llamarpc.com',
-    creditVaultAddress: process.env.BSC_CREDIT_VAULT_ADDRESS || '0xBA8dB0CAf781cAc69b6acf6C848aC148264Cc05d',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://bscscan.com',
-    nativeCurrency: {
-      name: 'BNB',
-      symbol: 'BNB',
-      decimals: 18
-    }
+    ...CHAINS[56],
+    rpcUrl: process.env.BSC_RPC_URL || CHAINS[56].rpcUrl,
+    creditVaultAddress: process.env.BSC_CREDIT_VAULT_ADDRESS || CHAINS[56].creditVaultAddress
   },
   
   // Arbitrum One
   42161: {
-    name: 'Arbitrum',
-    rpcUrl: process.env.ARB_RPC_URL || 'https://arbitrum.gateway.tenderly.co',
-    creditVaultAddress: process.env.ARB_CREDIT_VAULT_ADDRESS || '0xbA1cf8A63227b46575AF823BEB4d83D1025eff09',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://arbiscan.io',
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18
-    }
+    ...CHAINS[42161],
+    rpcUrl: process.env.ARB_RPC_URL || CHAINS[42161].rpcUrl,
+    creditVaultAddress: process.env.ARB_CREDIT_VAULT_ADDRESS || CHAINS[42161].creditVaultAddress
   },
   
   // Base
   8453: {
-    name: 'Base',
-    rpcUrl: process.env.BASE_RPC_URL || 'https://base.llamarpc.com',
-    creditVaultAddress: process.env.BASE_CREDIT_VAULT_ADDRESS || '0x74a4Cd023e5AfB88369E3f22b02440F2614a1367',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://basescan.org',
-    nativeCurrency: {
-      name: 'Ether',
-      symbol: 'ETH',
-      decimals: 18
-    }
+    ...CHAINS[8453],
+    rpcUrl: process.env.BASE_RPC_URL || CHAINS[8453].rpcUrl,
+    creditVaultAddress: process.env.BASE_CREDIT_VAULT_ADDRESS || CHAINS[8453].creditVaultAddress
+  }
+};
+
+// Chainlink USD price feeds per chain, keyed by canonical asset ID (see data/assets.json)
+// or token address; used when PRICE_SOURCE=chainlink
+export const PRICE_FEEDS = {
+  1: {
+    ETH: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+    BTC: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c',
+    USDC: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
+    USDT: '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D',
+    DAI: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9'
+  },
+  56: {
+    BNB: '0x0567F2323251f0Aab15c8dFb1967E4e8A7D42aeE',
+    ETH: '0x9ef1B8c0E4F7dc8bF5719Ea496883DC6401d5b2e',
+    BTC: '0x264990fbd0A4796A3E3d8E37C4d5F87a3aCa5Ebf',
+    USDT: '0xB97Ad0E74fa7d920791E90258A6E2085088b4320',
+    USDC: '0x51597f405303C4377E36123cBc172b13269EA163'
+  },
+  42161: {
+    ETH: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612',
+    BTC: '0x6ce185860a4963106506C203335A2910413708e9',
+    USDC: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3',
+    USDT: '0x3f3f5dF88dC9F13eac63DF89EC16ef6e7E25DdE7',
+    ARB: '0xb2A824043730FE05F3DA2efaFa1CBbe83fa548D6',
+    DAI: '0xc5C8E77B397E531B8EC06BFb0048328B30E9eCfB'
+  },
+  8453: {
+    ETH: '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+    USDC: '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B'
   }
 };
 
@@ -84,13 +91,42 @@ export const DEFAULT_CONFIG = {
   // Maximum retries for failed requests
   MAX_RETRIES: 3,
   
-  // Block confirmation requirements
-  CONFIRMATION_BLOCKS: {
-    1: 12,    // Ethereum
-    56: 3,    // BSC
-    42161: 1, // Arbitrum
-    8453: 1   // Base
-  }
+  // Optional user asset registry (same format as data/assets.json) extending the bundled one
+  ASSET_REGISTRY_FILE: process.env.ASSET_REGISTRY_FILE || null,
+  
+  // Optional user token overrides (same format as data/token-overrides.json) extending the bundled ones
+  TOKEN_OVERRIDES_FILE: process.env.TOKEN_OVERRIDES_FILE || null,
+  
+  // Default block mode when no target block is given: latest, safe, finalized or confirmed
+  BLOCK_MODE: process.env.BLOCK_MODE || 'latest',
+  
+  // Fail the query when any token lookup fails instead of returning a partial result
+  STRICT: process.env.STRICT === 'true',
+  
+  // USD valuation of positions: chainlink (PRICE_FEEDS), file (PRICE_FILE) or unset for none
+  PRICE_SOURCE: process.env.PRICE_SOURCE || null,
+  
+  // Static USD prices for PRICE_SOURCE=file: { "<canonical asset ID or token address>": price }
+  PRICE_FILE: process.env.PRICE_FILE || null,
+  
+  // Webhook receiving alerts from `cli.js alert` (overrides webhookUrl in the rules file)
+  ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL || null,
+  
+  // Prometheus exporter (`cli.js metrics`): HTTP port and seconds between reads
+  METRICS_PORT: parseInt(process.env.METRICS_PORT) || 9464,
+  METRICS_INTERVAL: parseInt(process.env.METRICS_INTERVAL) || 60,
+  
+  // JSONL file where CLI position queries are recorded for `cli.js history` (off when unset)
+  SNAPSHOT_FILE: process.env.SNAPSHOT_FILE || null,
+  
+  // Standalone API server (`npm run serve`): listen address, and how long
+  // in-flight requests may run after a shutdown signal
+  PORT: parseInt(process.env.PORT) || 3001,
+  HOST: process.env.HOST || '0.0.0.0',
+  SHUTDOWN_TIMEOUT: parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000,
+  
+  // Block confirmation requirements (used by the "confirmed" block mode)
+  CONFIRMATION_BLOCKS
 };
 
 // Helper function to get chain config
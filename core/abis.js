@@ -0,0 +1,35 @@
+// Minimal human-readable ABIs used by the position fetcher.
+// Kept in code (rather than loaded from abi/*.json) so the core runs in the
+// browser as well as in Node.
+
+export const CREDIT_VAULT_ABI = [
+  'function allLPTokens(uint256 index) view returns (address)',
+  'function positions(address trader, address token) view returns (int256)'
+];
+
+export const NATIVE_LP_TOKEN_ABI = [
+  'function underlying() view returns (address)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+];
+
+// symbol() and name() may also return bytes32 (e.g. MKR); decode raw results
+// with decodeTokenString rather than through this ABI
+export const ERC20_METADATA_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+];
+
+// Chainlink-style price feed (AggregatorV3Interface)
+export const CHAINLINK_AGGREGATOR_ABI = [
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function decimals() view returns (uint8)'
+];
+
+export const MULTICALL3_ABI = [
+  'function aggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)',
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)'
+];
@@ -0,0 +1,358 @@
+import { ethers } from 'ethers';
+import { toIsoTime } from './blocks.js';
+import { abs, compareUnits } from './math.js';
+
+export const ALERT_TYPES = ['threshold', 'change', 'signFlip', 'fetchFailures'];
+
+const RULE_FIELDS = {
+  threshold: ['type', 'name', 'asset', 'above', 'below'],
+  change: ['type', 'name', 'asset', 'percent'],
+  signFlip: ['type', 'name', 'asset'],
+  fetchFailures: ['type', 'name', 'count']
+};
+
+// Webhook delivery: attempts after the first, and the delay before the first retry (doubled each time)
+const DEFAULT_WEBHOOK_RETRIES = 3;
+const DEFAULT_WEBHOOK_RETRY_DELAY = 1000;
+
+// A webhook request that has not answered after this many ms is aborted (and retried)
+const DEFAULT_WEBHOOK_TIMEOUT = 10000;
+
+// Delivered alert keys remembered for de-duplication
+const MAX_DELIVERED_KEYS = 1000;
+
+/**
+ * Alert rules evaluated on every read of a PositionWatcher (see core/watcher.js).
+ *
+ * Rules data has the shape
+ *   {
+ *     "webhookUrl": "https://...",
+ *     "rules": [
+ *       { "type": "threshold", "asset": "USDC", "below": "-1000000" },
+ *       { "type": "change", "asset": "ETH", "percent": 20 },
+ *       { "type": "signFlip" },
+ *       { "type": "fetchFailures", "count": 3 }
+ *     ]
+ *   }
+ *
+ * - threshold: a position is above / below a level (token units); fires when
+ *   it crosses the level and resolves when it crosses back
+ * - change: a position moved by more than `percent` between two reads
+ * - signFlip: a position went from long to short or back (also across reads
+ *   where it was zero), or was closed to zero
+ * - fetchFailures: `count` reads in a row failed or were incomplete; resolves
+ *   on the next complete read
+ *
+ * `asset` (canonical asset ID, symbol, or token or LP address) limits a rule
+ * to one token; without it the rule covers every token (required for
+ * threshold). `name` labels the rule in alerts.
+ *
+ * Ongoing conditions (threshold, fetchFailures) alert once when they start
+ * and once when they resolve, not on every read.
+ */
+export class AlertRules {
+  constructor(data = {}) {
+    validateRules(data);
+    this.webhookUrl = data.webhookUrl || null;
+    this.rules = (data.rules || []).map((rule, i) => ({ ...rule, name: rule.name || `${rule.type}-${i + 1}` }));
+  }
+}
+
+/**
+ * Evaluates alert rules on a watcher's reads and hands every alert to `notify`
+ * @param {AlertRules} rules - The rules to evaluate
+ * @param {Object} options - { notify: async alert => void, logger }
+ */
+export class AlertMonitor {
+  constructor(rules, { notify, logger = console }) {
+    this.rules = rules.rules;
+    this.notify = notify;
+    this.logger = logger;
+    this.firing = new Map();
+    this.failedReads = 0;
+    this.previous = null;
+    // Last non-zero position per token, so a flip through a zero read is seen
+    this.lastNonZero = new Map();
+  }
+
+  /**
+   * Evaluate the rules on every read of a watcher
+   */
+  attach(watcher) {
+    this.previous = watcher.positions;
+    watcher.on('update', result => {
+      this.handleRead(result, watcher.positions);
+      if (!result.complete) this.handleFailure(result, `${result.errors.length} lookup(s) failed`);
+    });
+    watcher.on('error', error => this.handleFailure(watcher.snapshot, error.message));
+    return this;
+  }
+
+  /**
+   * Evaluate the position rules on a read
+   * @param {Object} result - The listPmmPositions result of the read
+   * @param {Array<Object>} positions - Its positions (failed tokens carry their previous position)
+   */
+  handleRead(result, positions) {
+    const previous = new Map((this.previous || []).map(position => [position.tokenAddress.toLowerCase(), position]));
+    const current = new Map(positions.map(position => [position.tokenAddress.toLowerCase(), position]));
+    this.previous = positions;
+
+    for (const [key, before] of previous) {
+      if (BigInt(before.position) !== 0n) this.lastNonZero.set(key, before);
+    }
+
+    // Zero positions are left out of a read, so a token missing on either side is at 0
+    const moves = [...new Set([...previous.keys(), ...current.keys()])].map(key => ({
+      key,
+      before: previous.get(key) ?? zeroPosition(current.get(key)),
+      position: current.get(key) ?? zeroPosition(previous.get(key))
+    }));
+
+    if (result.complete && this.failedReads > 0) {
+      this.failedReads = 0;
+      for (const rule of this.rules.filter(rule => rule.type === 'fetchFailures')) {
+        this.resolve(rule.name, { rule, result, message: 'reads succeed again' });
+      }
+    }
+
+    for (const rule of this.rules) {
+      if (rule.type === 'threshold') {
+        const breached = new Set();
+        for (const position of positions.filter(position => matchesAsset(rule, position))) {
+          const amount = BigInt(position.position);
+          const above = rule.above !== undefined && compareUnits(amount, position.decimals, rule.above) > 0;
+          const below = rule.below !== undefined && compareUnits(amount, position.decimals, rule.below) < 0;
+          if (!above && !below) continue;
+
+          const key = `${rule.name}:${position.tokenAddress.toLowerCase()}`;
+          breached.add(key);
+          this.fire(key, {
+            rule, result, position,
+            message: `${position.tokenSymbol} position ${position.positionFormatted} is ${above ? `above ${rule.above}` : `below ${rule.below}`}`
+          });
+        }
+
+        for (const [key, alert] of this.firing) {
+          if (alert.rule === rule.name && !breached.has(key)) {
+            this.resolve(key, { rule, result, position: alert.position, message: `${alert.tokenSymbol} position is back within ${rule.name}` });
+          }
+        }
+      }
+
+      if (rule.type === 'signFlip') {
+        for (const { key, before, position } of moves.filter(({ position }) => matchesAsset(rule, position))) {
+          const amount = BigInt(position.position);
+          const last = this.lastNonZero.get(key);
+          if (amount !== 0n && last && (BigInt(last.position) < 0n) !== (amount < 0n)) {
+            this.send({
+              rule, result, position, status: 'firing',
+              message: `${position.tokenSymbol} flipped from ${last.positionFormatted} to ${position.positionFormatted}`
+            });
+          } else if (amount === 0n && BigInt(before.position) !== 0n) {
+            this.send({
+              rule, result, position, status: 'firing',
+              message: `${position.tokenSymbol} closed from ${before.positionFormatted} to ${position.positionFormatted}`
+            });
+          }
+        }
+      }
+
+      if (rule.type === 'change') {
+        for (const { before, position } of moves.filter(({ position }) => matchesAsset(rule, position))) {
+          const from = BigInt(before.position) * 10n ** BigInt(position.decimals);
+          const to = BigInt(position.position) * 10n ** BigInt(before.decimals);
+          if (from === 0n || from === to) continue;
+
+          // Basis points of the earlier position, compared without floating point
+          const changeBps = abs(to - from) * 10000n / abs(from);
+          if (changeBps > BigInt(Math.round(rule.percent * 100))) {
+            this.send({
+              rule, result, position, status: 'firing',
+              message: `${position.tokenSymbol} changed by ${(Number(changeBps) / 100).toFixed(2)}% ` +
+                `(${before.positionFormatted} -> ${position.positionFormatted})`
+            });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Count a failed or incomplete read
+   */
+  handleFailure(result, reason) {
+    this.failedReads++;
+    for (const rule of this.rules.filter(rule => rule.type === 'fetchFailures')) {
+      if (this.failedReads >= rule.count) {
+        this.fire(rule.name, { rule, result, message: `${this.failedReads} reads in a row failed: ${reason}` });
+      }
+    }
+  }
+
+  // An undelivered firing alert is forgotten so the next read fires it again;
+  // an undelivered resolution keeps the alert firing so it resolves again
+  fire(key, alert) {
+    if (this.firing.has(key)) return;
+    const entry = { rule: alert.rule.name, position: alert.position, tokenSymbol: alert.position?.tokenSymbol };
+    this.firing.set(key, entry);
+    this.send({ ...alert, status: 'firing' }).then(delivered => {
+      if (!delivered && this.firing.get(key) === entry) this.firing.delete(key);
+    });
+  }
+
+  resolve(key, alert) {
+    const entry = this.firing.get(key);
+    if (!entry) return;
+    this.firing.delete(key);
+    this.send({ ...alert, status: 'resolved' }).then(delivered => {
+      if (!delivered && !this.firing.has(key)) this.firing.set(key, entry);
+    });
+  }
+
+  /**
+   * Hand an alert to `notify`
+   * @returns {Promise<boolean>} Whether it was delivered
+   */
+  send({ rule, result, position, status, message }) {
+    const alert = {
+      alert: rule.type,
+      rule: rule.name,
+      status,
+      message,
+      chainId: result?.chainId ?? null,
+      chainName: result?.chainName ?? null,
+      pmmAddress: result?.pmmAddress ?? null,
+      blockNumber: result?.blockNumber ?? null,
+      blockTimestamp: result?.blockTimestamp ?? null,
+      blockTime: result?.blockTimestamp ? toIsoTime(result.blockTimestamp) : null,
+      ...(position && {
+        tokenAddress: position.tokenAddress,
+        tokenSymbol: position.tokenSymbol,
+        canonicalAsset: position.canonicalAsset ?? null,
+        position: position.position,
+        positionFormatted: position.positionFormatted
+      })
+    };
+
+    return Promise.resolve()
+      .then(() => this.notify(alert))
+      .then(() => true, error => {
+        this.logger.error(`❌ Alert ${alert.rule} (${alert.status}) not delivered:`, error.message);
+        return false;
+      });
+  }
+}
+
+/**
+ * Delivers alerts as JSON POSTs to a webhook URL.
+ * Failed deliveries (network errors, non-2xx responses, requests that time
+ * out) are retried with exponential backoff, and an alert already delivered
+ * is not sent again.
+ */
+export class WebhookNotifier {
+  constructor(url, {
+    retries = DEFAULT_WEBHOOK_RETRIES,
+    retryDelay = DEFAULT_WEBHOOK_RETRY_DELAY,
+    timeout = DEFAULT_WEBHOOK_TIMEOUT,
+    fetch = globalThis.fetch,
+    logger = console
+  } = {}) {
+    if (!/^https?:\/\//i.test(url || '')) {
+      throw new Error(`Invalid webhook URL: ${url}`);
+    }
+    this.url = url;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.timeout = timeout;
+    this.fetch = fetch;
+    this.logger = logger;
+    this.delivered = new Set();
+  }
+
+  /**
+   * POST an alert, retrying failed deliveries
+   */
+  async send(alert) {
+    const key = [alert.rule, alert.status, alert.tokenAddress, alert.blockNumber].join(':');
+    if (this.delivered.has(key)) return;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.fetch(this.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(alert),
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) {
+          throw new Error(`Webhook responded ${response.status}`);
+        }
+        break;
+      } catch (error) {
+        if (attempt >= this.retries) throw error;
+        const delay = this.retryDelay * 2 ** attempt;
+        this.logger.warn(`⚠️  Webhook delivery failed (${error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    this.delivered.add(key);
+    if (this.delivered.size > MAX_DELIVERED_KEYS) {
+      this.delivered.delete(this.delivered.values().next().value);
+    }
+  }
+}
+
+function zeroPosition(position) {
+  return { ...position, position: '0', positionFormatted: ethers.formatUnits(0n, position.decimals) };
+}
+
+function matchesAsset(rule, position) {
+  if (!rule.asset) return true;
+  const asset = ethers.isAddress(rule.asset) ? rule.asset.toLowerCase() : rule.asset;
+  return [position.tokenAddress.toLowerCase(), position.lpTokenAddress?.toLowerCase(), position.canonicalAsset, position.tokenSymbol]
+    .includes(asset);
+}
+
+function validateRules(data) {
+  const unknown = Object.keys(data).filter(field => !['webhookUrl', 'rules'].includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) ${unknown.join(', ')} in alert rules, expected: webhookUrl, rules`);
+  }
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new Error('rules must be a list in alert rules');
+  }
+
+  (data.rules || []).forEach((rule, i) => {
+    const where = `alert rule ${rule?.name || i + 1}`;
+    if (!ALERT_TYPES.includes(rule?.type)) {
+      throw new Error(`Invalid type ${rule?.type} in ${where}, expected one of: ${ALERT_TYPES.join(', ')}`);
+    }
+
+    const unknownFields = Object.keys(rule).filter(field => !RULE_FIELDS[rule.type].includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Unknown field(s) ${unknownFields.join(', ')} in ${where}, expected: ${RULE_FIELDS[rule.type].join(', ')}`);
+    }
+
+    if (rule.type === 'threshold') {
+      if (!rule.asset) {
+        throw new Error(`asset is required in ${where}`);
+      }
+      if (rule.above === undefined && rule.below === undefined) {
+        throw new Error(`above or below is required in ${where}`);
+      }
+      for (const field of ['above', 'below']) {
+        if (rule[field] !== undefined && !/^-?\d+(\.\d+)?$/.test(String(rule[field]))) {
+          throw new Error(`${field} must be an amount in ${where}`);
+        }
+      }
+    }
+    if (rule.type === 'change' && !(typeof rule.percent === 'number' && rule.percent > 0)) {
+      throw new Error(`percent must be a positive number in ${where}`);
+    }
+    if (rule.type === 'fetchFailures' && !(Number.isInteger(rule.count) && rule.count > 0)) {
+      throw new Error(`count must be a positive integer in ${where}`);
+    }
+  });
+}
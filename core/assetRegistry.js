@@ -0,0 +1,69 @@
+import { ethers } from 'ethers';
+
+/**
+ * Canonical asset registry.
+ *
+ * Maps a chain-local token address to a canonical asset ID (e.g. USDC on
+ * Ethereum, native and bridged USDC on Arbitrum and Base all map to "USDC")
+ * so positions can be aggregated across chains.
+ *
+ * Registry data has the shape of data/assets.json:
+ *   { "<assetId>": { "name": "...", "tokens": { "<chainId>": ["0x...", ...] } } }
+ *
+ * Later sources extend earlier ones; a token listed again is remapped to the
+ * asset of the later source.
+ */
+export class AssetRegistry {
+  constructor(...sources) {
+    this.assets = new Map();
+    this.tokens = new Map();
+
+    for (const source of sources) {
+      this.extend(source);
+    }
+  }
+
+  /**
+   * Add the assets and token mappings from registry data
+   */
+  extend(data = {}) {
+    for (const [assetId, asset] of Object.entries(data)) {
+      const existing = this.assets.get(assetId);
+      this.assets.set(assetId, {
+        id: assetId,
+        name: asset.name || existing?.name || assetId
+      });
+
+      for (const [chainId, addresses] of Object.entries(asset.tokens || {})) {
+        for (const address of addresses) {
+          if (!ethers.isAddress(address)) {
+            throw new Error(`Invalid token address for asset ${assetId} on chain ${chainId}: ${address}`);
+          }
+          this.tokens.set(tokenKey(chainId, address), assetId);
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Get the canonical asset ID for a token, or null when it is not registered
+   */
+  getAssetId(chainId, tokenAddress) {
+    return this.tokens.get(tokenKey(chainId, tokenAddress)) || null;
+  }
+
+  /**
+   * Get a canonical asset's details ({ id, name }), or null
+   */
+  getAsset(assetId) {
+    return this.assets.get(assetId) || null;
+  }
+}
+
+/**
+ * Key of a token in a chain-local lookup map.
+ */
+export function tokenKey(chainId, tokenAddress) {
+  return `${Number(chainId)}:${tokenAddress.toLowerCase()}`;
+}
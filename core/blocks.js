@@ -0,0 +1,73 @@
+import { BLOCK_MODES } from './chains.js';
+import { InputError } from './errors.js';
+
+// Date.parse reads a date-time without a time zone as local time, so only
+// date-only strings (UTC) and date-times with Z or an offset are accepted
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i;
+const ISO_OFFSET = /(Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Parse a query target into a block number, a block mode or a timestamp.
+ *
+ * Accepted forms:
+ *   null / ''                    - the fetcher's default block mode
+ *   18500000 / '18500000'        - block number
+ *   'latest' | 'safe' | ...      - block mode (see BLOCK_MODES)
+ *   '2024-01-01T00:00:00Z'       - ISO timestamp with Z or an offset (or a UTC date)
+ *   '@1704067200' / Date         - unix time (seconds) / Date object
+ *
+ * @returns {Object} { blockNumber } | { mode } | { timestamp }
+ */
+export function parseBlockTarget(target) {
+  if (target === null || target === undefined || target === '') {
+    return { mode: null };
+  }
+
+  if (typeof target === 'number' || typeof target === 'bigint') {
+    return { blockNumber: Number(target) };
+  }
+
+  if (target instanceof Date) {
+    return { timestamp: toUnixSeconds(target) };
+  }
+
+  const value = String(target).trim();
+
+  if (BLOCK_MODES.includes(value)) {
+    return { mode: value };
+  }
+
+  if (/^\d+$/.test(value)) {
+    return { blockNumber: Number(value) };
+  }
+
+  if (/^@\d+$/.test(value)) {
+    return { timestamp: Number(value.slice(1)) };
+  }
+
+  if (ISO_DATE_TIME.test(value) && !ISO_OFFSET.test(value)) {
+    throw new InputError(`Invalid target block: ${target}. ISO timestamps need a time zone (Z or an offset such as +02:00)`);
+  }
+
+  const ms = ISO_DATE.test(value) || ISO_DATE_TIME.test(value) ? Date.parse(value) : NaN;
+  if (!Number.isNaN(ms)) {
+    return { timestamp: Math.floor(ms / 1000) };
+  }
+
+  throw new InputError(`Invalid target block: ${target}. Expected a block number, one of ${BLOCK_MODES.join(', ')}, an ISO timestamp or @<unix time>`);
+}
+
+/**
+ * Convert a Date to unix seconds
+ */
+export function toUnixSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Format unix seconds as an ISO timestamp
+ */
+export function toIsoTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
@@ -0,0 +1,102 @@
+// Default chain configurations shared by the CLI, the API and the web UI.
+// Environment-specific overrides (RPC URLs, vault addresses) are applied by
+// the Node entry points in config.js; this module must stay browser-safe.
+export const CHAINS = {
+  // Ethereum Mainnet
+  1: {
+    name: 'Ethereum',
+    rpcUrl: 'https://eth.llamarpc.com',
+    creditVaultAddress: '0xe3D41d19564922C9952f692C5Dd0563030f5f2EF',
+    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    explorerUrl: 'https://etherscan.io',
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    }
+  },
+
+  // BSC (Binance Smart Chain)
+  56: {
+    name: 'BSC',
+    rpcUrl: 'https://bsc.llamarpc.com',
+    creditVaultAddress: '0xBA8dB0CAf781cAc69b6acf6C848aC148264Cc05d',
+    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    explorerUrl: 'https://bscscan.com',
+    nativeCurrency: {
+      name: 'BNB',
+      symbol: 'BNB',
+      decimals: 18
+    }
+  },
+
+  // Arbitrum One
+  42161: {
+    name: 'Arbitrum',
+    rpcUrl: 'https://arbitrum.gateway.tenderly.co',
+    creditVaultAddress: '0xbA1cf8A63227b46575AF823BEB4d83D1025eff09',
+    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    explorerUrl: 'https://arbiscan.io',
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    }
+  },
+
+  // Base
+  8453: {
+    name: 'Base',
+    rpcUrl: 'https://base.llamarpc.com',
+    creditVaultAddress: '0x74a4Cd023e5AfB88369E3f22b02440F2614a1367',
+    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    explorerUrl: 'https://basescan.org',
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    }
+  }
+};
+
+// Block confirmation requirements: how far "confirmed" block mode stays behind the head
+export const CONFIRMATION_BLOCKS = {
+  1: 12,    // Ethereum
+  56: 3,    // BSC
+  42161: 1, // Arbitrum
+  8453: 1   // Base
+};
+
+// How a query picks its block when no explicit block number is given:
+//   latest    - the chain head
+//   safe      - the RPC's "safe" block tag
+//   finalized - the RPC's "finalized" block tag
+//   confirmed - head minus CONFIRMATION_BLOCKS for the chain
+export const BLOCK_MODES = ['latest', 'safe', 'finalized', 'confirmed'];
+
+// Other names accepted for a chain (besides its ID and lower-cased name), e.g. `--chain eth`
+export const CHAIN_ALIASES = {
+  eth: 1,
+  mainnet: 1,
+  bnb: 56,
+  arb: 42161
+};
+
+/**
+ * Resolve a chain ID or name ("8453", "base", "Base", "eth") to a chain ID
+ * @param {string|number} value - Chain ID, name or alias
+ * @param {Object} [chains] - Chain configurations keyed by chain ID
+ * @returns {number|null} The chain ID, or null when no chain matches
+ */
+export function resolveChainId(value, chains = CHAINS) {
+  const key = String(value).trim().toLowerCase();
+  if (/^\d+$/.test(key)) {
+    return Object.prototype.hasOwnProperty.call(chains, Number(key)) ? Number(key) : null;
+  }
+
+  const byName = Object.keys(chains).find(chainId => chains[chainId].name.toLowerCase() === key);
+  if (byName) return Number(byName);
+
+  const alias = CHAIN_ALIASES[key];
+  return alias !== undefined && Object.prototype.hasOwnProperty.call(chains, alias) ? alias : null;
+}
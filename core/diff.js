@@ -0,0 +1,54 @@
+import { ethers } from 'ethers';
+
+/**
+ * Compare two position lists (as built by PMMPositionFetcher.buildPositions)
+ * token by token.
+ *
+ * A token is `appeared` when it only has a position in `toPositions`,
+ * `disappeared` when it only has one in `fromPositions`, and `changed` or
+ * `unchanged` otherwise. Amounts are scaled to the larger decimals when the
+ * two sides disagree.
+ *
+ * @param {Array<Object>} fromPositions - Earlier positions
+ * @param {Array<Object>} toPositions - Later positions
+ * @returns {Array<Object>} One entry per token with before/after/delta, raw and formatted
+ */
+export function diffPositions(fromPositions, toPositions) {
+  const tokens = new Map();
+
+  for (const [side, positions] of [['from', fromPositions], ['to', toPositions]]) {
+    for (const position of positions) {
+      const key = position.tokenAddress.toLowerCase();
+      if (!tokens.has(key)) tokens.set(key, {});
+      tokens.get(key)[side] = position;
+    }
+  }
+
+  return [...tokens.values()].map(({ from, to }) => {
+    const token = to || from;
+    const decimals = Math.max(from?.decimals ?? 0, to?.decimals ?? 0);
+    const before = from ? BigInt(from.position) * 10n ** BigInt(decimals - from.decimals) : 0n;
+    const after = to ? BigInt(to.position) * 10n ** BigInt(decimals - to.decimals) : 0n;
+    const delta = after - before;
+
+    let status = 'changed';
+    if (before === 0n) status = 'appeared';
+    else if (after === 0n) status = 'disappeared';
+    else if (delta === 0n) status = 'unchanged';
+
+    return {
+      tokenAddress: token.tokenAddress,
+      tokenSymbol: token.tokenSymbol,
+      canonicalAsset: token.canonicalAsset ?? null,
+      lpTokenAddress: token.lpTokenAddress ?? null,
+      decimals,
+      status,
+      before: before.toString(),
+      beforeFormatted: ethers.formatUnits(before, decimals),
+      after: after.toString(),
+      afterFormatted: ethers.formatUnits(after, decimals),
+      delta: delta.toString(),
+      deltaFormatted: ethers.formatUnits(delta, decimals)
+    };
+  });
+}
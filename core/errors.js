@@ -0,0 +1,11 @@
+/**
+ * An error in what the caller asked for (an invalid or out-of-range block
+ * target, interval or range) rather than a failure of the chain or the RPC.
+ * The API answers it with 400 instead of 500.
+ */
+export class InputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InputError';
+  }
+}
@@ -0,0 +1,290 @@
+import { toIsoTime } from './blocks.js';
+
+export const OUTPUT_FORMATS = ['json', 'ndjson', 'csv', 'table', 'markdown'];
+
+const POSITION_FIELDS = ['chainId', 'chainName', 'pmmAddress', 'blockNumber', 'tokenSymbol', 'canonicalAsset', 'tokenAddress',
+  'lpTokenAddress', 'decimals', 'position', 'positionFormatted', 'priceUsd', 'valueUsd'];
+
+const DIFF_FIELDS = ['chainId', 'chainName', 'pmmAddress', 'fromBlock', 'toBlock', 'tokenSymbol', 'canonicalAsset', 'tokenAddress',
+  'lpTokenAddress', 'decimals', 'status', 'before', 'beforeFormatted', 'after', 'afterFormatted', 'delta', 'deltaFormatted'];
+
+const SERIES_FIELDS = ['chainId', 'chainName', 'pmmAddress', 'blockNumber', 'blockTime', 'tokenSymbol', 'canonicalAsset',
+  'tokenAddress', 'lpTokenAddress', 'decimals', 'position', 'positionFormatted'];
+
+const RISK_FIELDS = ['asset', 'decimals', 'grossLong', 'grossLongFormatted', 'grossShort', 'grossShortFormatted',
+  'netPosition', 'netPositionFormatted'];
+
+const RECONCILE_FIELDS = ['status', 'chainId', 'chainName', 'token', 'tokenSymbol', 'tokenAddress', 'decimals', 'tolerance',
+  'expected', 'expectedFormatted', 'actual', 'actualFormatted', 'difference', 'differenceFormatted', 'differenceBps', 'reason'];
+
+const TOKEN_FIELDS = ['chainId', 'chainName', 'blockNumber', 'index', 'lpTokenAddress', 'tokenAddress', 'tokenSymbol', 'tokenName',
+  'decimals', 'canonicalAsset', 'metadataSource', 'fellBack', 'registeredBlock', 'error'];
+
+const NETWORK_FIELDS = ['chainId', 'chainName', 'network', 'blockNumber', 'rpcUrl', 'error'];
+
+const SNAPSHOT_FIELDS = ['id', 'recordedAt', 'chainId', 'chainName', 'pmmAddress', 'blockNumber', 'blockHash', 'blockTimestamp',
+  'positions', 'complete'];
+
+/**
+ * Render a CLI result in an output format.
+ *
+ * `json` prints the whole result. The other formats print the rows of its
+ * view: `ndjson` one JSON object per row, `csv` every field, and `table`
+ * (aligned, for terminals, under the view's caption) and `markdown` the
+ * view's display columns.
+ *
+ * @param {Object} result - The result to render
+ * @param {Object} view - { rows, fields, columns: [[label, field, align?]], caption? } (see the *View functions)
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} The rendered output, without a trailing newline
+ */
+export function formatResult(result, view, format) {
+  if (format === 'json') return JSON.stringify(result, null, 2);
+  if (format === 'ndjson') return view.rows.map(row => JSON.stringify(pick(row, view.fields))).join('\n');
+  if (format === 'csv') return formatCsv(view.rows, view.fields);
+  if (format === 'table') return [view.caption, formatTable(view.rows, view.columns)].filter(Boolean).join('\n\n');
+  if (format === 'markdown') return formatMarkdown(view.rows, view.columns);
+  throw new Error(`Invalid output format: ${format}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+}
+
+/**
+ * One row per position of a listPmmPositions, listPmmPositionsForMany or
+ * listPortfolioPositions result. A portfolio ends with one row per asset of
+ * its netByAsset, on chain `all`.
+ */
+export function positionsView(result) {
+  const sections = result.chains || result.results || [result];
+  const rows = sections.flatMap(section => section.positions.map(position => ({
+    chainId: section.chainId,
+    chainName: section.chainName,
+    pmmAddress: section.pmmAddress,
+    blockNumber: section.blockNumber,
+    ...position
+  })));
+  for (const asset of result.netByAsset || []) {
+    rows.push({
+      chainName: 'all',
+      pmmAddress: result.pmmAddress,
+      tokenSymbol: asset.asset,
+      decimals: asset.decimals,
+      position: asset.netPosition,
+      positionFormatted: asset.netPositionFormatted
+    });
+  }
+
+  return {
+    rows,
+    fields: POSITION_FIELDS,
+    caption: sections
+      .map(section => `${section.pmmAddress} on ${section.chainName} at block ${section.blockNumber} (${toIsoTime(section.blockTimestamp)})`)
+      .join('\n'),
+    columns: [
+      ...(result.chains ? [['Chain', 'chainName']] : []),
+      ...(result.results ? [['PMM', 'pmmAddress']] : []),
+      ['Symbol', 'tokenSymbol'],
+      ['Position', 'positionFormatted', 'right'],
+      ...(rows.some(row => row.valueUsd != null) ? [['Value (USD)', 'valueUsd', 'right']] : []),
+      ['Token', 'tokenAddress'],
+      ['LP Token', 'lpTokenAddress']
+    ]
+  };
+}
+
+/**
+ * One row per changed token of a diffPmmPositions or snapshot comparison result
+ */
+export function diffView(result) {
+  return {
+    rows: result.changes.map(change => ({
+      chainId: result.chainId,
+      chainName: result.chainName,
+      pmmAddress: result.pmmAddress ?? result.to.pmmAddress,
+      fromBlock: result.from.blockNumber,
+      toBlock: result.to.blockNumber,
+      ...change
+    })),
+    fields: DIFF_FIELDS,
+    caption: `${result.pmmAddress ?? result.to.pmmAddress} on ${result.chainName}: ` +
+      `block ${result.from.blockNumber} (${toIsoTime(result.from.blockTimestamp)}) -> ${result.to.blockNumber} (${toIsoTime(result.to.blockTimestamp)})`,
+    columns: [
+      ['Symbol', 'tokenSymbol'],
+      ['Status', 'status'],
+      ['Before', 'beforeFormatted', 'right'],
+      ['After', 'afterFormatted', 'right'],
+      ['Delta', 'deltaFormatted', 'right'],
+      ['Token', 'tokenAddress'],
+      ['LP Token', 'lpTokenAddress']
+    ]
+  };
+}
+
+/**
+ * One row per sampled block and token of a listPmmPositionSeries result
+ */
+export function seriesView(result) {
+  return {
+    rows: result.blocks.flatMap(({ blockNumber, blockTimestamp }, i) => result.series.map(({ positions, positionsFormatted, ...token }) => ({
+      chainId: result.chainId,
+      chainName: result.chainName,
+      pmmAddress: result.pmmAddress,
+      blockNumber,
+      blockTime: toIsoTime(blockTimestamp),
+      ...token,
+      position: positions[i],
+      positionFormatted: positionsFormatted[i]
+    }))),
+    fields: SERIES_FIELDS,
+    columns: [
+      ['Block', 'blockNumber', 'right'],
+      ['Time', 'blockTime'],
+      ['Symbol', 'tokenSymbol'],
+      ['Position', 'positionFormatted', 'right'],
+      ['Token', 'tokenAddress']
+    ]
+  };
+}
+
+/**
+ * One row per asset of a risk summary's byAsset (see core/risk.js)
+ */
+export function riskView(risk) {
+  return {
+    rows: risk.byAsset,
+    fields: RISK_FIELDS,
+    caption: risk.grossExposureUsd === null
+      ? 'No priced positions'
+      : `Gross long $${risk.grossLongUsd}, gross short $${risk.grossShortUsd}, net $${risk.netExposureUsd}` +
+        (risk.unpricedPositions > 0 ? ` (${risk.unpricedPositions} unpriced position(s) left out)` : ''),
+    columns: [
+      ['Asset', 'asset'],
+      ['Gross Long', 'grossLongFormatted', 'right'],
+      ['Gross Short', 'grossShortFormatted', 'right'],
+      ['Net', 'netPositionFormatted', 'right']
+    ]
+  };
+}
+
+/**
+ * One row per entry of a reconciliation report (see core/reconcile.js)
+ */
+export function reconcileView(report) {
+  return {
+    rows: report.entries,
+    fields: RECONCILE_FIELDS,
+    columns: [
+      ['Status', 'status'],
+      ['Chain', 'chainName'],
+      ['Token', 'token'],
+      ['Expected', 'expectedFormatted', 'right'],
+      ['Actual', 'actualFormatted', 'right'],
+      ['Difference', 'differenceFormatted', 'right'],
+      ['Tolerance', 'tolerance', 'right']
+    ]
+  };
+}
+
+/**
+ * One row per recorded snapshot (see snapshotStore.js)
+ */
+export function snapshotsView(snapshots) {
+  return {
+    rows: snapshots.map(snapshot => ({ ...snapshot, blockTime: toIsoTime(snapshot.blockTimestamp) })),
+    fields: SNAPSHOT_FIELDS,
+    columns: [
+      ['ID', 'id', 'right'],
+      ['Block Time', 'blockTime'],
+      ['Chain', 'chainName'],
+      ['Block', 'blockNumber', 'right'],
+      ['PMM', 'pmmAddress'],
+      ['Positions', 'positions', 'right'],
+      ['Complete', 'complete']
+    ]
+  };
+}
+
+/**
+ * One row per LP token of a listLPTokens result
+ */
+export function tokensView(result) {
+  return {
+    rows: result.tokens.map(token => ({
+      chainId: result.chainId,
+      chainName: result.chainName,
+      blockNumber: result.blockNumber,
+      ...token
+    })),
+    fields: TOKEN_FIELDS,
+    caption: `${result.tokens.length} LP token(s) on ${result.chainName} at block ${result.blockNumber} (${toIsoTime(result.blockTimestamp)})`,
+    columns: [
+      ['Index', 'index', 'right'],
+      ['LP Token', 'lpTokenAddress'],
+      ['Underlying', 'tokenAddress'],
+      ['Symbol', 'tokenSymbol'],
+      ['Decimals', 'decimals', 'right'],
+      ['Fallback', 'fellBack'],
+      ...(result.tokens.some(token => token.registeredBlock !== undefined) ? [['Registered', 'registeredBlock', 'right']] : [])
+    ]
+  };
+}
+
+/**
+ * One row per chain of a network check: { chainId, chainName, network, blockNumber, rpcUrl, error }
+ */
+export function networkView(rows) {
+  return {
+    rows,
+    fields: NETWORK_FIELDS,
+    columns: [
+      ['Chain ID', 'chainId', 'right'],
+      ['Chain', 'chainName'],
+      ['Block', 'blockNumber', 'right'],
+      ['RPC', 'rpcUrl'],
+      ['Error', 'error']
+    ]
+  };
+}
+
+// Symbols and names come from on-chain symbol()/name(), so a cell a spreadsheet
+// would read as a formula is prefixed with ' (numbers, negative ones included, are left as they are)
+function formatCsv(rows, fields) {
+  const escape = value => {
+    let text = cell(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [fields, ...rows.map(row => fields.map(field => row[field]))]
+    .map(values => values.map(escape).join(','))
+    .join('\n');
+}
+
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(([, field]) => cell(row[field])));
+  const widths = columns.map(([label], i) => Math.max(label.length, ...cells.map(values => values[i].length)));
+  const line = values => values
+    .map((value, i) => (columns[i][2] === 'right' ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    line(columns.map(([label]) => label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+function formatMarkdown(rows, columns) {
+  const line = values => `| ${values.map(value => value.replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [
+    line(columns.map(([label]) => label)),
+    `|${columns.map(([, , align]) => (align === 'right' ? ' ---: ' : ' --- ')).join('|')}|`,
+    ...rows.map(row => line(columns.map(([, field]) => cell(row[field]))))
+  ].join('\n');
+}
+
+function cell(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+}
@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+
+/**
+ * Absolute value of a BigInt amount.
+ */
+export function abs(value) {
+  return value < 0n ? -value : value;
+}
+
+/**
+ * Compare an amount in `decimals` with a decimal amount string at the
+ * precision of whichever has more fractional digits, so a limit finer than
+ * the token (e.g. 1.1234567 USDC) is compared instead of failing to parse.
+ * @returns {number} -1, 0 or 1 as the amount is below, equal to or above the value
+ */
+export function compareUnits(amount, decimals, value) {
+  const [, fraction = ''] = String(value).split('.');
+  const scale = Math.max(decimals, fraction.length);
+  const scaled = amount * 10n ** BigInt(scale - decimals);
+  const limit = ethers.parseUnits(String(value), scale);
+  return scaled > limit ? 1 : scaled < limit ? -1 : 0;
+}
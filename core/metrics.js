@@ -0,0 +1,113 @@
+/**
+ * Position and fetch health metrics in the Prometheus text exposition format.
+ *
+ * Holds the latest successful read per (chain, PMM) target and counters for
+ * reads and RPC calls; render() produces the /metrics response body.
+ */
+export class PositionMetrics {
+  constructor() {
+    this.targets = new Map();
+    this.rpcCalls = new Map();
+  }
+
+  /**
+   * Record a successful listPmmPositions result
+   */
+  recordResult(result) {
+    const target = this.getTarget(result.chainId, result.chainName, result.pmmAddress);
+    target.result = result;
+    target.successes++;
+    target.lastDuration = result.summary.fetchTime / 1000;
+  }
+
+  /**
+   * Record a failed read of a target
+   */
+  recordFailure(chainId, chainName, pmmAddress, durationMs) {
+    const target = this.getTarget(chainId, chainName, pmmAddress);
+    target.failures++;
+    target.lastDuration = durationMs / 1000;
+  }
+
+  /**
+   * Count one JSON-RPC request
+   */
+  recordRpcCall(chainId, chainName, method) {
+    const key = `${chainId}:${method}`;
+    const entry = this.rpcCalls.get(key) || { labels: { chain_id: chainId, chain: chainName, method }, count: 0 };
+    entry.count++;
+    this.rpcCalls.set(key, entry);
+  }
+
+  getTarget(chainId, chainName, pmmAddress) {
+    const key = `${chainId}:${pmmAddress.toLowerCase()}`;
+    if (!this.targets.has(key)) {
+      this.targets.set(key, {
+        labels: { chain_id: chainId, chain: chainName, pmm: pmmAddress.toLowerCase() },
+        result: null,
+        successes: 0,
+        failures: 0,
+        lastDuration: null
+      });
+    }
+    return this.targets.get(key);
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   */
+  render() {
+    const targets = [...this.targets.values()];
+    const succeeded = targets.filter(target => target.result);
+    const metrics = [
+      metric('pmm_position', 'gauge', 'Position per token in token units (negative = short)',
+        succeeded.flatMap(({ labels, result }) => result.positions.map(position => [
+          { ...labels, ...positionLabels(position) }, position.positionFormatted
+        ]))),
+      metric('pmm_position_value_usd', 'gauge', 'Position value per token in USD (priced positions only)',
+        succeeded.flatMap(({ labels, result }) => result.positions
+          .filter(position => position.valueUsd != null)
+          .map(position => [{ ...labels, ...positionLabels(position) }, position.valueUsd]))),
+      metric('pmm_failed_token_lookups', 'gauge', 'Failed token lookups in the last successful read',
+        succeeded.flatMap(({ labels, result }) => ['metadata', 'position'].map(stage => [
+          { ...labels, stage }, result.errors.filter(error => error.stage === stage).length
+        ]))),
+      metric('pmm_last_success_block', 'gauge', 'Block number of the last successful read',
+        succeeded.map(({ labels, result }) => [labels, result.blockNumber])),
+      metric('pmm_last_success_block_timestamp_seconds', 'gauge', 'Block timestamp of the last successful read',
+        succeeded.map(({ labels, result }) => [labels, result.blockTimestamp])),
+      metric('pmm_fetch_duration_seconds', 'gauge', 'Duration of the last read',
+        targets.filter(target => target.lastDuration !== null).map(({ labels, lastDuration }) => [labels, lastDuration])),
+      metric('pmm_fetches_total', 'counter', 'Reads by outcome',
+        targets.flatMap(({ labels, successes, failures }) => [
+          [{ ...labels, status: 'success' }, successes],
+          [{ ...labels, status: 'failure' }, failures]
+        ])),
+      metric('pmm_rpc_calls_total', 'counter', 'JSON-RPC requests by method',
+        [...this.rpcCalls.values()].map(({ labels, count }) => [labels, count]))
+    ];
+
+    return metrics.join('');
+  }
+}
+
+function positionLabels(position) {
+  return {
+    token: position.tokenAddress.toLowerCase(),
+    symbol: position.tokenSymbol,
+    asset: position.canonicalAsset || ''
+  };
+}
+
+function metric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    const labelText = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(',');
+    lines.push(`${name}{${labelText}} ${value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,131 @@
+import { ethers } from 'ethers';
+import { compareUnits } from './math.js';
+import { USD_DECIMALS } from './pricing.js';
+
+const POLICY_FIELDS = ['maxShort', 'maxGrossNotionalUsd', 'forbiddenTokens'];
+
+/**
+ * Risk limit policy.
+ *
+ * Policy data has the shape
+ *   {
+ *     "maxShort": { "<asset>": "<token units>" },
+ *     "maxGrossNotionalUsd": "<USD>",
+ *     "forbiddenTokens": ["<asset or token address>"]
+ *   }
+ *
+ * Assets are canonical asset IDs, else token symbols, as in `risk.byAsset`
+ * (see core/risk.js). Every limit is optional.
+ *
+ * - maxShort: largest allowed net short per asset, as a positive amount
+ * - maxGrossNotionalUsd: largest allowed gross (long + short) USD exposure per PMM;
+ *   needs priced positions
+ * - forbiddenTokens: assets or token (underlying or LP) addresses the PMM must not hold
+ */
+export class RiskPolicy {
+  constructor(data = {}) {
+    validatePolicy(data);
+    this.maxShort = data.maxShort || {};
+    this.maxGrossNotionalUsd = data.maxGrossNotionalUsd ?? null;
+    this.forbiddenTokens = (data.forbiddenTokens || []).map(token => (ethers.isAddress(token) ? token.toLowerCase() : token));
+  }
+
+  /**
+   * Check a listPmmPositions or listPortfolioPositions result against the policy.
+   * A result with failed lookups is a breach: the missing positions could hide one.
+   * @returns {Object} { passed, breaches: [{ rule, message, ... }] }
+   */
+  check(result) {
+    const positions = result.chains
+      ? result.chains.flatMap(chain => chain.positions.map(position => ({ ...position, chainId: chain.chainId })))
+      : result.positions;
+    const breaches = [];
+
+    if (!result.complete) {
+      const failed = result.errors.length + (result.chains || []).reduce((sum, chain) => sum + chain.errors.length, 0);
+      breaches.push({
+        rule: 'complete',
+        message: `${failed} lookup(s) failed, limits cannot be verified`
+      });
+    }
+
+    for (const position of positions) {
+      const forbidden = [position.tokenAddress.toLowerCase(), position.lpTokenAddress?.toLowerCase(), position.canonicalAsset, position.tokenSymbol]
+        .find(key => key && this.forbiddenTokens.includes(key));
+      if (forbidden) {
+        breaches.push({
+          rule: 'forbiddenTokens',
+          token: forbidden,
+          tokenAddress: position.tokenAddress,
+          tokenSymbol: position.tokenSymbol,
+          ...(position.chainId !== undefined && { chainId: position.chainId }),
+          actual: position.positionFormatted,
+          message: `holds forbidden token ${position.tokenSymbol} (${position.tokenAddress}): ${position.positionFormatted}`
+        });
+      }
+    }
+
+    for (const asset of result.risk.byAsset) {
+      const limit = this.maxShort[asset.asset];
+      if (limit === undefined) continue;
+
+      const short = -BigInt(asset.netPosition);
+      if (compareUnits(short, asset.decimals, limit) > 0) {
+        breaches.push({
+          rule: 'maxShort',
+          asset: asset.asset,
+          limit: String(limit),
+          actual: ethers.formatUnits(short, asset.decimals),
+          message: `net short ${asset.asset} ${ethers.formatUnits(short, asset.decimals)} exceeds ${limit}`
+        });
+      }
+    }
+
+    if (this.maxGrossNotionalUsd !== null) {
+      // Priced positions alone can already breach the limit; otherwise unpriced ones leave it unverified
+      const { grossExposureUsd, unpricedPositions } = result.risk;
+      if (grossExposureUsd !== null &&
+        compareUnits(ethers.parseUnits(grossExposureUsd, USD_DECIMALS), USD_DECIMALS, this.maxGrossNotionalUsd) > 0) {
+        breaches.push({
+          rule: 'maxGrossNotionalUsd',
+          limit: String(this.maxGrossNotionalUsd),
+          actual: grossExposureUsd,
+          message: `gross notional $${grossExposureUsd} exceeds $${this.maxGrossNotionalUsd}`
+        });
+      } else if (unpricedPositions > 0) {
+        breaches.push({
+          rule: 'maxGrossNotionalUsd',
+          limit: String(this.maxGrossNotionalUsd),
+          actual: grossExposureUsd,
+          message: `${unpricedPositions} position(s) have no price, gross notional cannot be verified`
+        });
+      }
+    }
+
+    return { passed: breaches.length === 0, breaches };
+  }
+}
+
+function validatePolicy(data) {
+  const unknown = Object.keys(data).filter(field => !POLICY_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) ${unknown.join(', ')} in policy, expected: ${POLICY_FIELDS.join(', ')}`);
+  }
+
+  const { maxShort = {}, maxGrossNotionalUsd, forbiddenTokens = [] } = data;
+  for (const [asset, limit] of Object.entries(maxShort)) {
+    if (!isAmount(limit)) {
+      throw new Error(`maxShort for ${asset} must be a non-negative amount in policy`);
+    }
+  }
+  if (maxGrossNotionalUsd !== undefined && !isAmount(maxGrossNotionalUsd)) {
+    throw new Error('maxGrossNotionalUsd must be a non-negative amount in policy');
+  }
+  if (!Array.isArray(forbiddenTokens) || !forbiddenTokens.every(token => typeof token === 'string')) {
+    throw new Error('forbiddenTokens must be a list of assets or token addresses in policy');
+  }
+}
+
+function isAmount(value) {
+  return /^\d+(\.\d+)?$/.test(String(value));
+}
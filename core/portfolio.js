@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+
+/**
+ * Net positions across chains by asset.
+ *
+ * Amounts with different decimals are scaled to the largest decimals in the
+ * group before summing, so e.g. 6- and 18-decimal USDC net correctly.
+ *
+ * @param {Array<Object>} positions - Positions annotated with chainId (and chainName)
+ * @param {Function} [getAssetKey] - position => asset key; defaults to the upper-cased token symbol
+ * @returns {Array<Object>} One entry per asset with its net position and per-chain legs
+ */
+export function netPositionsByAsset(positions, getAssetKey = position => position.tokenSymbol.toUpperCase()) {
+  const groups = new Map();
+
+  for (const position of positions) {
+    const asset = getAssetKey(position);
+    if (!groups.has(asset)) groups.set(asset, []);
+    groups.get(asset).push(position);
+  }
+
+  return [...groups.entries()].map(([asset, legs]) => {
+    const decimals = Math.max(...legs.map(leg => leg.decimals));
+    const net = legs.reduce(
+      (sum, leg) => sum + BigInt(leg.position) * 10n ** BigInt(decimals - leg.decimals),
+      0n
+    );
+
+    return {
+      asset,
+      decimals,
+      netPosition: net.toString(),
+      netPositionFormatted: ethers.formatUnits(net, decimals),
+      legs: legs.map(leg => ({
+        chainId: leg.chainId,
+        chainName: leg.chainName,
+        tokenAddress: leg.tokenAddress,
+        tokenSymbol: leg.tokenSymbol,
+        canonicalAsset: leg.canonicalAsset ?? null,
+        position: leg.position,
+        positionFormatted: leg.positionFormatted,
+        decimals: leg.decimals
+      }))
+    };
+  });
+}
+
+/**
+ * Net positions by canonical asset (see core/assetRegistry.js).
+ * Positions whose token is not in the registry fall back to their symbol.
+ */
+export function netPositionsByCanonicalAsset(positions) {
+  return netPositionsByAsset(
+    positions,
+    position => position.canonicalAsset || position.tokenSymbol.toUpperCase()
+  );
+}
@@ -0,0 +1,2008 @@
+import { ethers } from 'ethers';
+import { CHAINS, CONFIRMATION_BLOCKS, BLOCK_MODES } from './chains.js';
+import { CREDIT_VAULT_ABI, NATIVE_LP_TOKEN_ABI, ERC20_METADATA_ABI } from './abis.js';
+import { Multicall3, createContractCall } from './multicall.js';
+import { AssetRegistry } from './assetRegistry.js';
+import { TokenOverrides } from './tokenOverrides.js';
+import { netPositionsByCanonicalAsset } from './portfolio.js';
+import { diffPositions } from './diff.js';
+import { parseBlockTarget, toIsoTime } from './blocks.js';
+import { InputError } from './errors.js';
+import { applyPrices, sumUsd } from './pricing.js';
+import { computeRisk } from './risk.js';
+import { PositionWatcher } from './watcher.js';
+
+// allLPTokens indices read per Multicall3 batch during LP token discovery
+const LP_TOKEN_BATCH_SIZE = 100;
+
+// Upper bound for LP token discovery: 2^20 - 1 tokens
+const MAX_LP_TOKEN_PROBE_EXPONENT = 20;
+
+// Token metadata calls per Multicall3 batch
+const METADATA_CALL_BATCH_SIZE = 30;
+
+// Upper bound on samples per position series, and default samples fetched at once
+const MAX_SERIES_SAMPLES = 1000;
+const DEFAULT_SERIES_CONCURRENCY = 4;
+
+// Default LP token registration probes (one multicall each) in flight at once
+const DEFAULT_REGISTRATION_CONCURRENCY = 4;
+
+/**
+ * Whether an error is a contract revert (as opposed to an RPC/network failure)
+ */
+export function isRevertError(error) {
+  return error?.code === 'CALL_EXCEPTION' ||
+    /revert/i.test(error?.message || '');
+}
+
+/**
+ * Pick a chain's target from a per-chain map, or use a single shared target
+ */
+function targetForChain(targetBlocks, chainId) {
+  if (targetBlocks !== null && typeof targetBlocks === 'object' && !(targetBlocks instanceof Date)) {
+    return targetBlocks[chainId] ?? null;
+  }
+  return targetBlocks ?? null;
+}
+
+/**
+ * Decode an address-returning call, or null when it failed
+ */
+function decodeAddress(result) {
+  if (!result.success) return null;
+  try {
+    return ethers.AbiCoder.defaultAbiCoder().decode(['address'], result.data)[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode a string-returning call such as symbol() or name(). Accepts ABI
+ * strings as well as bytes32 values (e.g. MKR); null when the call failed or
+ * returned nothing usable.
+ */
+function decodeTokenString(result) {
+  if (!result.success || !result.data || result.data === '0x') return null;
+  try {
+    if (ethers.dataLength(result.data) === 32) {
+      const bytes = ethers.getBytes(result.data);
+      const end = bytes.indexOf(0);
+      return ethers.toUtf8String(end === -1 ? bytes : bytes.slice(0, end)).trim() || null;
+    }
+    return ethers.AbiCoder.defaultAbiCoder().decode(['string'], result.data)[0].trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Decode the results of decimals(), symbol() and name() calls
+ * @returns {Object} { decimals, symbol, name }, null for each failed call
+ */
+function decodeTokenMetadata(decimalsResult, symbolResult, nameResult) {
+  let decimals = null;
+  if (decimalsResult.success) {
+    try {
+      const value = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], decimalsResult.data)[0];
+      if (value <= 255n) decimals = Number(value);
+    } catch (error) {
+      // Leave decimals unresolved
+    }
+  }
+
+  return {
+    decimals,
+    symbol: decodeTokenString(symbolResult),
+    name: decodeTokenString(nameResult)
+  };
+}
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+function checkSampleCount(count) {
+  if (count > MAX_SERIES_SAMPLES) {
+    throw new InputError(`Series would take ${count} samples (max ${MAX_SERIES_SAMPLES}), use a larger interval`);
+  }
+}
+
+/**
+ * Default provider factory: a plain JSON-RPC provider with batching and
+ * polling disabled to prevent retry storms on flaky public RPCs.
+ * `config.requestTimeout` (ms) bounds every HTTP request.
+ */
+export function createDefaultProvider(chainId, rpcUrl, config = {}) {
+  // WebSocket RPCs push new blocks, which suits watchPmmPositions with onNewBlock
+  if (/^wss?:\/\//i.test(rpcUrl)) {
+    return new ethers.WebSocketProvider(rpcUrl, Number(chainId));
+  }
+
+  const request = new ethers.FetchRequest(rpcUrl);
+  if (config.requestTimeout) request.timeout = config.requestTimeout;
+
+  return new ethers.JsonRpcProvider(request, Number(chainId), {
+    polling: false, // Disable automatic polling
+    staticNetwork: true, // Use static network detection
+    batchMaxCount: 1, // Disable batching to prevent retry issues
+    batchStallTime: 0, // Disable batch stalling
+    batchMaxSize: 1 // Disable batch size limits
+  });
+}
+
+/**
+ * PMM Position Fetcher with multichain support.
+ *
+ * Environment-agnostic: it never touches the filesystem or the DOM, so the
+ * CLI, the Vercel API and the web UI all run exactly the same logic.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.chains] - Chain configurations keyed by chain ID
+ * @param {Object} [options.logger] - console-compatible logger ({ log, warn, error })
+ * @param {Function} [options.createProvider] - (chainId, rpcUrl, config) => ethers provider
+ * @param {string} [options.rpcUrl] - RPC URL overriding the configured one for every chain
+ * @param {number} [options.requestTimeout] - Timeout per RPC request in ms, passed to
+ *   createProvider as `config.requestTimeout` (default: the provider's own)
+ * @param {AssetRegistry} [options.assetRegistry] - Canonical asset registry used to annotate positions
+ * @param {TokenOverrides} [options.tokenOverrides] - Token metadata overrides (symbol, decimals, name, hidden)
+ * @param {string} [options.blockMode] - Block used when no target block is given: latest, safe, finalized or confirmed
+ * @param {Object} [options.confirmationBlocks] - Blocks behind the head per chain ID for the confirmed mode
+ * @param {boolean} [options.strict] - Throw when any token lookup fails instead of returning
+ *   a result with `errors` and `complete: false`
+ * @param {Object} [options.priceProvider] - Price provider (see core/pricing.js) used to value
+ *   positions in USD at the query block; positions are not valued without one
+ */
+export class PMMPositionFetcher {
+  constructor(options = {}) {
+    this.chains = options.chains || CHAINS;
+    this.logger = options.logger || console;
+    this.createProvider = options.createProvider || createDefaultProvider;
+    this.customRpcUrl = options.rpcUrl || null;
+    this.requestTimeout = options.requestTimeout || null;
+    this.assetRegistry = options.assetRegistry || new AssetRegistry();
+    this.tokenOverrides = options.tokenOverrides || new TokenOverrides();
+    this.blockMode = options.blockMode || 'latest';
+    this.confirmationBlocks = options.confirmationBlocks || CONFIRMATION_BLOCKS;
+    this.strict = Boolean(options.strict);
+    this.priceProvider = options.priceProvider || null;
+
+    if (!BLOCK_MODES.includes(this.blockMode)) {
+      throw new Error(`Invalid block mode: ${this.blockMode}. Expected one of: ${BLOCK_MODES.join(', ')}`);
+    }
+    this.providers = new Map();
+    this.contracts = new Map();
+    this.multicalls = new Map();
+    this.watchers = new Set();
+    // Chain data caches: survive cleanup() since they do not depend on the RPC
+    this.blockTimestamps = new Map();
+    this.timestampBlocks = new Map();
+  }
+
+  /**
+   * Check whether a chain ID is configured
+   */
+  isValidChainId(chainId) {
+    return Object.prototype.hasOwnProperty.call(this.chains, Number(chainId));
+  }
+
+  /**
+   * Get the configuration for a chain
+   */
+  getChainConfig(chainId) {
+    if (!this.isValidChainId(chainId)) {
+      throw new Error(`Unsupported chain ID: ${chainId}. Supported chains: ${Object.keys(this.chains).join(', ')}`);
+    }
+    return this.chains[Number(chainId)];
+  }
+
+  /**
+   * Override the RPC URL for all chains (null restores the configured ones)
+   */
+  setCustomRpcUrl(rpcUrl) {
+    this.customRpcUrl = rpcUrl || null;
+    // Cached providers and contracts are bound to the previous RPC
+    this.cleanup();
+  }
+
+  /**
+   * Get or create provider for a specific chain
+   */
+  async getProvider(chainId) {
+    if (!this.isValidChainId(chainId)) {
+      throw new Error(`Unsupported chain ID: ${chainId}`);
+    }
+
+    if (this.providers.has(chainId)) {
+      return this.providers.get(chainId);
+    }
+
+    const config = this.getChainConfig(chainId);
+    const provider = this.createProvider(chainId, this.customRpcUrl || config.rpcUrl,
+      this.requestTimeout ? { ...config, requestTimeout: this.requestTimeout } : config);
+
+    this.providers.set(chainId, provider);
+    return provider;
+  }
+
+  /**
+   * Get or create Multicall3 instance for a specific chain
+   */
+  async getMulticall(chainId, debug = false) {
+    const cacheKey = `${chainId}-${debug}`;
+    if (this.multicalls.has(cacheKey)) {
+      return this.multicalls.get(cacheKey);
+    }
+
+    const provider = await this.getProvider(chainId);
+    const config = this.getChainConfig(chainId);
+
+    if (!config.multicall3Address) {
+      throw new Error(`Multicall3 address not configured for chain ${chainId}`);
+    }
+
+    const multicall = new Multicall3(provider, config.multicall3Address, debug, this.logger);
+    this.multicalls.set(cacheKey, multicall);
+    return multicall;
+  }
+
+  /**
+   * Stop all watchers and clean up all providers to prevent retry loops
+   */
+  cleanup() {
+    for (const watcher of [...this.watchers]) {
+      watcher.stop();
+    }
+
+    for (const provider of this.providers.values()) {
+      try {
+        // Remove any listeners and cleanup
+        provider.removeAllListeners();
+        // Destroy the provider if it has a destroy method
+        if (typeof provider.destroy === 'function') {
+          provider.destroy();
+        }
+      } catch (error) {
+        // Ignore cleanup errors
+      }
+    }
+    this.providers.clear();
+    this.contracts.clear();
+    this.multicalls.clear();
+  }
+
+  /**
+   * Get CreditVault contract for a specific chain
+   */
+  async getCreditVaultContract(chainId) {
+    const cacheKey = `${chainId}-creditVault`;
+
+    if (this.contracts.has(cacheKey)) {
+      return this.contracts.get(cacheKey);
+    }
+
+    const provider = await this.getProvider(chainId);
+    const config = this.getChainConfig(chainId);
+
+    if (config.creditVaultAddress === ethers.ZeroAddress) {
+      throw new Error(`CreditVault address not configured for chain ${chainId}`);
+    }
+
+    const contract = new ethers.Contract(
+      config.creditVaultAddress,
+      CREDIT_VAULT_ABI,
+      provider
+    );
+
+    this.contracts.set(cacheKey, contract);
+    return contract;
+  }
+
+  /**
+   * Get NativeLPToken contract
+   */
+  getNativeLPTokenContract(provider, lpTokenAddress) {
+    return new ethers.Contract(
+      lpTokenAddress,
+      NATIVE_LP_TOKEN_ABI,
+      provider
+    );
+  }
+
+  /**
+   * Read allLPTokens(index) for many indices using Multicall3 batches.
+   * Batches run in parallel; an index past the end of the array reverts and
+   * maps to null. Any other failure is thrown rather than truncating the list.
+   * @returns {Map<number, string|null>} LP token address per index
+   */
+  async probeLPTokens(chainId, indices, blockNumber = null, debug = false) {
+    const creditVault = await this.getCreditVaultContract(chainId);
+    const multicall = await this.getMulticall(chainId, debug);
+    const found = new Map();
+
+    const batches = [];
+    for (let i = 0; i < indices.length; i += LP_TOKEN_BATCH_SIZE) {
+      batches.push(indices.slice(i, i + LP_TOKEN_BATCH_SIZE));
+    }
+
+    await Promise.all(batches.map(async (batch) => {
+      const batchCalls = batch.map(index => createContractCall(
+        creditVault.target,
+        CREDIT_VAULT_ABI,
+        'allLPTokens',
+        [index]
+      ));
+
+      let addresses;
+      try {
+        const results = await multicall.batchCall(batchCalls, blockNumber);
+        addresses = results.map(result => (
+          result.success ? ethers.AbiCoder.defaultAbiCoder().decode(['address'], result.data)[0] : null
+        ));
+      } catch (error) {
+        this.logger.warn(`⚠️  LP token probe batch failed, falling back to individual calls:`, error.message);
+        addresses = await Promise.all(batch.map(async (index) => {
+          try {
+            return await creditVault.allLPTokens(index, { blockTag: blockNumber });
+          } catch (individualError) {
+            if (isRevertError(individualError)) return null;
+            throw individualError;
+          }
+        }));
+      }
+
+      batch.forEach((index, j) => {
+        // Zero address also marks the end of the array
+        const address = addresses[j];
+        found.set(index, address && address !== ethers.ZeroAddress ? address : null);
+      });
+    }));
+
+    return found;
+  }
+
+  /**
+   * Find the length of the CreditVault allLPTokens array.
+   * Probes exponentially growing indices to bracket the end of the array,
+   * then narrows the bracket with evenly spaced probes, one multicall per round.
+   * @param {Map<number, string|null>} [probed] - Filled with every probed index, for reuse
+   */
+  async getLPTokenCount(chainId, blockNumber = null, debug = false, probed = new Map()) {
+    const record = async (indices) => {
+      const results = await this.probeLPTokens(chainId, indices, blockNumber, debug);
+      for (const [index, address] of results) probed.set(index, address);
+    };
+
+    // Bracket the end: indices 0, 1, 3, 7, ..., 2^n - 1
+    const exponentialIndices = [];
+    for (let n = 0; n <= MAX_LP_TOKEN_PROBE_EXPONENT; n++) {
+      exponentialIndices.push(2 ** n - 1);
+    }
+    await record(exponentialIndices);
+
+    if (!probed.get(0)) {
+      return 0;
+    }
+
+    let present = 0; // highest index known to exist
+    let absent = null; // lowest index known to be past the end
+    for (const index of exponentialIndices) {
+      if (probed.get(index)) {
+        present = index;
+      } else {
+        absent = index;
+        break;
+      }
+    }
+
+    if (absent === null) {
+      throw new Error(`More than ${2 ** MAX_LP_TOKEN_PROBE_EXPONENT - 1} LP tokens registered on chain ${chainId}`);
+    }
+
+    // Narrow the bracket until the end is found
+    while (absent - present > 1) {
+      const gap = absent - present - 1;
+      const count = Math.min(gap, LP_TOKEN_BATCH_SIZE);
+      const indices = [];
+      for (let k = 1; k <= count; k++) {
+        indices.push(present + Math.round((k * (gap + 1)) / (count + 1)));
+      }
+      await record([...new Set(indices)]);
+
+      for (let index = present + 1; index < absent; index++) {
+        if (!probed.has(index)) continue;
+        if (probed.get(index)) {
+          present = index;
+        } else {
+          absent = index;
+          break;
+        }
+      }
+    }
+
+    if (debug) this.logger.log(`allLPTokens length: ${absent} (${probed.size} indices probed)`);
+    return absent;
+  }
+
+  /**
+   * Fetch all LP tokens from CreditVault
+   */
+  async getAllLPTokens(chainId, blockNumber = null, debug = false) {
+    if (debug) this.logger.log(`Fetching all LP tokens for chain ${chainId}...`);
+
+    try {
+      const probed = new Map();
+      const count = await this.getLPTokenCount(chainId, blockNumber, debug, probed);
+
+      // Fetch only the indices the count search did not already read
+      const missing = [];
+      for (let index = 0; index < count; index++) {
+        if (!probed.has(index)) missing.push(index);
+      }
+      if (missing.length > 0) {
+        const results = await this.probeLPTokens(chainId, missing, blockNumber, debug);
+        for (const [index, address] of results) probed.set(index, address);
+      }
+
+      const lpTokens = [];
+      for (let index = 0; index < count; index++) {
+        const lpTokenAddress = probed.get(index);
+        if (!lpTokenAddress) {
+          throw new Error(`allLPTokens(${index}) returned no LP token below array length ${count}`);
+        }
+        lpTokens.push(lpTokenAddress);
+        if (debug) this.logger.log(`  ${index + 1}: ${lpTokenAddress}`);
+      }
+
+      if (debug) this.logger.log(`Found ${lpTokens.length} LP tokens`);
+      return lpTokens;
+    } catch (error) {
+      this.logger.error(`Error fetching LP tokens:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get underlying token address and metadata for an LP token
+   * @returns {Object|null} { address, decimals, symbol, name, metadataSource, metadataWarnings },
+   *   or null when it cannot be resolved
+   */
+  async getUnderlyingToken(chainId, lpTokenAddress, blockNumber = null) {
+    const [token] = await this.batchGetUnderlyingTokens(chainId, [lpTokenAddress], blockNumber);
+    if (token.error) {
+      this.logger.warn(`⚠️  Failed to get underlying token for ${lpTokenAddress}:`, token.error);
+      return null;
+    }
+
+    return {
+      address: token.underlyingAddress,
+      decimals: token.decimals,
+      symbol: token.symbol,
+      name: token.name,
+      metadataSource: token.metadataSource,
+      metadataWarnings: token.metadataWarnings
+    };
+  }
+
+  /**
+   * Batch fetch underlying tokens and their metadata for multiple LP tokens.
+   *
+   * decimals(), symbol() and name() are read from the underlying ERC20 and
+   * cross-checked against the LP token; the LP token's values are only used
+   * when the underlying's calls fail. `metadataSource` says where the
+   * metadata came from ('underlying', 'lp' or 'fallback') and
+   * `metadataWarnings` lists any fallback or mismatch.
+   */
+  async batchGetUnderlyingTokens(chainId, lpTokenAddresses, blockNumber = null, debug = false) {
+    if (debug) this.logger.log(`Batch fetching underlying tokens for ${lpTokenAddresses.length} LP tokens...`);
+
+    // underlying() plus the LP token's own metadata
+    const lpCalls = lpTokenAddresses.flatMap(lpTokenAddress => (
+      ['underlying', 'decimals', 'symbol', 'name'].map(method => (
+        createContractCall(lpTokenAddress, NATIVE_LP_TOKEN_ABI, method, [], debug, this.logger)
+      ))
+    ));
+    const lpResults = await this.batchCallWithFallback(chainId, lpCalls, blockNumber, debug);
+
+    const lpTokens = lpTokenAddresses.map((lpTokenAddress, i) => {
+      const [underlying, decimals, symbol, name] = lpResults.slice(i * 4, i * 4 + 4);
+      return {
+        lpTokenAddress,
+        underlyingAddress: decodeAddress(underlying),
+        underlyingError: underlying.error || 'underlying() call failed',
+        metadata: decodeTokenMetadata(decimals, symbol, name)
+      };
+    });
+
+    // Metadata of each distinct underlying ERC20
+    const underlyingAddresses = [...new Set(lpTokens
+      .map(lpToken => lpToken.underlyingAddress)
+      .filter(address => address && address !== ethers.ZeroAddress))];
+    const erc20Calls = underlyingAddresses.flatMap(address => (
+      ['decimals', 'symbol', 'name'].map(method => (
+        createContractCall(address, ERC20_METADATA_ABI, method, [], debug, this.logger)
+      ))
+    ));
+    const erc20Results = await this.batchCallWithFallback(chainId, erc20Calls, blockNumber, debug);
+    const erc20Metadata = new Map(underlyingAddresses.map((address, i) => (
+      [address, decodeTokenMetadata(...erc20Results.slice(i * 3, i * 3 + 3))]
+    )));
+
+    return lpTokens.map((lpToken, i) => {
+      const token = this.resolveTokenMetadata(
+        lpToken,
+        erc20Metadata.get(lpToken.underlyingAddress),
+        this.tokenOverrides.resolve(chainId, lpToken.underlyingAddress, lpToken.lpTokenAddress)
+      );
+
+      for (const warning of token.metadataWarnings) {
+        this.logger.warn(`⚠️  ${token.symbol} (${token.lpTokenAddress}): ${warning}`);
+      }
+      if (debug) this.logger.log(`    ${i + 1}/${lpTokenAddresses.length}: ${token.underlyingAddress} (${token.symbol}, ${token.decimals} decimals, from ${token.metadataSource}${token.overrides ? `, overridden: ${token.overrides.join(', ')}` : ''})`);
+
+      return token;
+    });
+  }
+
+  /**
+   * Pick an LP token's metadata: the underlying ERC20's values first, the LP
+   * token's values when those fail, and a marked fallback when neither is
+   * usable. A token override (see core/tokenOverrides.js) is applied on top.
+   */
+  resolveTokenMetadata(lpToken, underlyingMetadata, override = null) {
+    const { lpTokenAddress, underlyingAddress, metadata: lpMetadata } = lpToken;
+    // An overridden decimals() never needs to be read on-chain
+    const hasDecimals = metadata => metadata.decimals !== null || override?.decimals !== undefined;
+
+    // Without a known underlying there is nothing to query positions for; an
+    // override can still hide the LP token or name it
+    if (!underlyingAddress) {
+      return this.applyTokenOverride(this.fallbackTokenData(lpTokenAddress, lpToken.underlyingError), override);
+    }
+
+    // No underlying: the LP token is the token itself
+    if (underlyingAddress === ethers.ZeroAddress) {
+      if (!hasDecimals(lpMetadata)) {
+        return this.applyTokenOverride(this.fallbackTokenData(lpTokenAddress, 'decimals() failed on the LP token'), override);
+      }
+      return this.applyTokenOverride({
+        lpTokenAddress,
+        underlyingAddress: lpTokenAddress,
+        decimals: lpMetadata.decimals,
+        symbol: lpMetadata.symbol ?? 'LP',
+        name: lpMetadata.name,
+        isLPToken: false,
+        metadataSource: 'lp',
+        metadataWarnings: lpMetadata.symbol === null && override?.symbol === undefined ? ['symbol() failed on the LP token'] : []
+      }, override);
+    }
+
+    const warnings = [];
+    let metadataSource = 'underlying';
+    let decimals = underlyingMetadata.decimals;
+
+    if (!hasDecimals(underlyingMetadata)) {
+      if (lpMetadata.decimals === null) {
+        return this.applyTokenOverride({
+          ...this.fallbackTokenData(lpTokenAddress, `decimals() failed on the underlying ${underlyingAddress} and the LP token`),
+          underlyingAddress,
+          symbol: underlyingMetadata.symbol ?? lpMetadata.symbol ?? 'LP',
+          isLPToken: true
+        }, override);
+      }
+      decimals = lpMetadata.decimals;
+      metadataSource = 'lp';
+      warnings.push(`decimals() failed on the underlying, using the LP token's ${decimals}`);
+    } else if (decimals !== null && lpMetadata.decimals !== null && lpMetadata.decimals !== decimals) {
+      warnings.push(`LP token decimals (${lpMetadata.decimals}) differ from the underlying's (${decimals}), using the underlying's`);
+    }
+
+    let symbol = underlyingMetadata.symbol;
+    if (symbol === null && override?.symbol === undefined) {
+      symbol = lpMetadata.symbol ?? 'UNKNOWN';
+      metadataSource = 'lp';
+      warnings.push(`symbol() failed on the underlying, using ${lpMetadata.symbol === null ? 'UNKNOWN' : "the LP token's"}`);
+    }
+
+    return this.applyTokenOverride({
+      lpTokenAddress,
+      underlyingAddress,
+      decimals,
+      symbol,
+      name: underlyingMetadata.name ?? lpMetadata.name,
+      isLPToken: true,
+      metadataSource,
+      metadataWarnings: warnings
+    }, override);
+  }
+
+  /**
+   * Apply a token override to resolved token data, listing the overridden
+   * fields in `overrides`
+   */
+  applyTokenOverride(token, override) {
+    if (!override) return token;
+
+    const applied = ['symbol', 'decimals', 'name', 'hidden'].filter(field => override[field] !== undefined);
+    return {
+      ...token,
+      ...(override.symbol !== undefined && { symbol: override.symbol }),
+      ...(override.decimals !== undefined && { decimals: override.decimals }),
+      ...(override.name !== undefined && { name: override.name }),
+      hidden: Boolean(override.hidden),
+      overrides: applied
+    };
+  }
+
+  /**
+   * Run calls through Multicall3 in batches. A batch that fails as a whole
+   * is retried as individual calls.
+   * @returns {Array<Object>} { success, data, call, error? } per call, in order
+   */
+  async batchCallWithFallback(chainId, calls, blockNumber = null, debug = false) {
+    const multicall = await this.getMulticall(chainId, debug);
+    const results = [];
+
+    for (let i = 0; i < calls.length; i += METADATA_CALL_BATCH_SIZE) {
+      const batch = calls.slice(i, i + METADATA_CALL_BATCH_SIZE);
+      if (debug) this.logger.log(`  Processing batch ${Math.floor(i / METADATA_CALL_BATCH_SIZE) + 1}/${Math.ceil(calls.length / METADATA_CALL_BATCH_SIZE)}: ${batch.length} calls`);
+
+      try {
+        results.push(...await multicall.batchCallWithRetry(batch, 1, blockNumber));
+      } catch (error) {
+        this.logger.warn(`⚠️  Batch ${Math.floor(i / METADATA_CALL_BATCH_SIZE) + 1} failed, falling back to individual calls:`, error.message);
+
+        const provider = await this.getProvider(chainId);
+        for (const call of batch) {
+          try {
+            const data = await provider.call({ to: call.target, data: call.callData, blockTag: blockNumber });
+            results.push({ success: true, data, call });
+          } catch (callError) {
+            results.push({ success: false, data: '0x', call, error: callError.message });
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Token data used when an LP token's metadata cannot be resolved.
+   * `error` records why, when the fallback is due to a failed lookup.
+   */
+  fallbackTokenData(lpTokenAddress, error = null) {
+    return {
+      lpTokenAddress,
+      underlyingAddress: lpTokenAddress,
+      decimals: 18,
+      symbol: 'LP',
+      name: null,
+      isLPToken: false,
+      metadataSource: 'fallback',
+      metadataWarnings: [],
+      ...(error && { error })
+    };
+  }
+
+  /**
+   * Get position amount for a specific token and trader (throws when the call fails)
+   */
+  async getPosition(chainId, traderAddress, tokenAddress, blockNumber = null) {
+    const creditVault = await this.getCreditVaultContract(chainId);
+    return await creditVault.positions(traderAddress, tokenAddress, { blockTag: blockNumber });
+  }
+
+  /**
+   * Batch fetch positions for multiple tokens
+   */
+  async batchGetPositions(chainId, traderAddress, tokenAddresses, blockNumber = null, debug = false) {
+    const [positions] = await this.batchGetPositionsForMany(chainId, [traderAddress], tokenAddresses, blockNumber, debug);
+    return positions;
+  }
+
+  /**
+   * Batch fetch positions for several traders over the same tokens.
+   * All (trader, token) pairs are packed into shared multicall batches.
+   * @returns {Array<Array<Object>>} One positions array per trader, in token order
+   */
+  async batchGetPositionsForMany(chainId, traderAddresses, tokenAddresses, blockNumber = null, debug = false) {
+    const pairs = [];
+    for (const traderAddress of traderAddresses) {
+      for (const tokenAddress of tokenAddresses) {
+        pairs.push({ traderAddress, tokenAddress });
+      }
+    }
+
+    if (debug) this.logger.log(`Batch fetching positions for ${tokenAddresses.length} tokens x ${traderAddresses.length} trader(s)...`);
+
+    const creditVault = await this.getCreditVaultContract(chainId);
+    const multicall = await this.getMulticall(chainId, debug);
+    const batchSize = 20; // Larger batch size for positions as they're simpler calls
+    const results = [];
+
+    // Process in smaller batches
+    for (let i = 0; i < pairs.length; i += batchSize) {
+      const batch = pairs.slice(i, i + batchSize);
+      if (debug) this.logger.log(`  Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(pairs.length / batchSize)}: ${batch.length} calls`);
+
+      // Create calls for positions() for each pair in this batch
+      const batchCalls = batch.map(({ traderAddress, tokenAddress }) => createContractCall(
+        creditVault.target,
+        CREDIT_VAULT_ABI,
+        'positions',
+        [traderAddress, tokenAddress],
+        debug,
+        this.logger
+      ));
+
+      try {
+        const callResults = await multicall.batchCallWithRetry(batchCalls, 1, blockNumber);
+
+        for (let j = 0; j < batch.length; j++) {
+          const { tokenAddress } = batch[j];
+          const result = callResults[j];
+
+          if (result.success) {
+            try {
+              // Decode the raw bytes using the contract ABI
+              const position = ethers.AbiCoder.defaultAbiCoder().decode(['int256'], result.data)[0];
+              results.push({
+                tokenAddress,
+                position: position.toString(),
+                success: true
+              });
+
+              if (debug) this.logger.log(`    ${i + j + 1}/${pairs.length}: ${tokenAddress} → ${position !== 0n ? `Position: ${position.toString()}` : 'No position'}`);
+            } catch (decodeError) {
+              this.logger.warn(`⚠️  Failed to decode position for call ${i + j + 1}:`, decodeError.message);
+              results.push({
+                tokenAddress,
+                position: '0',
+                success: false,
+                error: decodeError.message
+              });
+            }
+          } else {
+            this.logger.warn(`⚠️  Failed to fetch position for call ${i + j + 1}:`, result.error || 'Unknown error');
+            results.push({
+              tokenAddress,
+              position: '0',
+              success: false,
+              error: result.error || 'Call failed'
+            });
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`⚠️  Batch ${Math.floor(i / batchSize) + 1} failed, falling back to individual calls:`, error.message);
+
+        // Fallback to individual calls for this batch
+        for (let j = 0; j < batch.length; j++) {
+          const { traderAddress, tokenAddress } = batch[j];
+          try {
+            const position = await this.getPosition(chainId, traderAddress, tokenAddress, blockNumber);
+            results.push({
+              tokenAddress,
+              position: position.toString(),
+              success: true
+            });
+
+            if (debug) this.logger.log(`    ${i + j + 1}/${pairs.length}: ${tokenAddress} → ${position !== 0n ? `Position: ${position.toString()}` : 'No position'}`);
+          } catch (individualError) {
+            this.logger.warn(`⚠️  Individual call failed for ${tokenAddress}:`, individualError.message);
+            results.push({
+              tokenAddress,
+              position: '0',
+              success: false,
+              error: individualError.message
+            });
+          }
+        }
+      }
+    }
+
+    // Split the flat pair results back into one array per trader
+    return traderAddresses.map((_, t) => results.slice(t * tokenAddresses.length, (t + 1) * tokenAddresses.length));
+  }
+
+  /**
+   * Resolve a query target (block number, block mode or timestamp, see
+   * parseBlockTarget; null = the fetcher's blockMode) to one concrete block,
+   * so every call of a query reads the same chain state.
+   * "safe" and "finalized" fall back to "confirmed" when the RPC does not
+   * support those block tags.
+   * @returns {Object} { blockNumber, blockHash, blockTimestamp }, plus
+   *   { requestedTimestamp, requestedTime } for timestamp targets
+   */
+  async resolveBlock(chainId, target = null) {
+    const provider = await this.getProvider(chainId);
+    const { blockNumber, mode, timestamp } = parseBlockTarget(target);
+    const tag = mode ?? this.blockMode;
+    let block;
+
+    if (timestamp !== undefined) {
+      block = await provider.getBlock(await this.findBlockByTimestamp(chainId, timestamp));
+    } else if (blockNumber !== undefined) {
+      block = await provider.getBlock(blockNumber);
+    } else {
+      if (tag === 'safe' || tag === 'finalized') {
+        try {
+          block = await provider.getBlock(tag);
+        } catch (error) {
+          this.logger.warn(`⚠️  RPC for chain ${chainId} does not support the "${tag}" block tag, using confirmed:`, error.message);
+        }
+      }
+
+      if (tag === 'confirmed' || ((tag === 'safe' || tag === 'finalized') && !block)) {
+        const head = await provider.getBlockNumber();
+        const confirmations = this.confirmationBlocks[Number(chainId)] ?? 0;
+        block = await provider.getBlock(Math.max(head - confirmations, 0));
+      } else if (!block) {
+        block = await provider.getBlock(tag);
+      }
+    }
+
+    if (!block) {
+      // A block number past the head is the caller's to fix, a missing block tag the RPC's
+      const message = `Block ${target ?? tag} not found on chain ${chainId}`;
+      throw blockNumber !== undefined ? new InputError(message) : new Error(message);
+    }
+
+    return {
+      blockNumber: block.number,
+      blockHash: block.hash,
+      blockTimestamp: block.timestamp,
+      ...(timestamp !== undefined && {
+        requestedTimestamp: timestamp,
+        requestedTime: toIsoTime(timestamp)
+      })
+    };
+  }
+
+  /**
+   * Get a block's timestamp, cached per chain
+   */
+  async getBlockTimestamp(chainId, blockNumber) {
+    const timestamps = this.getBlockTimestampCache(chainId);
+    if (timestamps.has(blockNumber)) {
+      return timestamps.get(blockNumber);
+    }
+
+    const provider = await this.getProvider(chainId);
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not found on chain ${chainId}`);
+    }
+
+    timestamps.set(block.number, block.timestamp);
+    return block.timestamp;
+  }
+
+  getBlockTimestampCache(chainId) {
+    const key = Number(chainId);
+    if (!this.blockTimestamps.has(key)) {
+      this.blockTimestamps.set(key, new Map());
+    }
+    return this.blockTimestamps.get(key);
+  }
+
+  /**
+   * Find the last block at or before a unix timestamp.
+   * Searches between the closest cached blocks, alternating interpolation
+   * (fast on regular block times) with bisection (bounded worst case).
+   * @param {number} chainId - The chain ID
+   * @param {number} timestamp - Unix time in seconds
+   * @returns {number} Block number
+   */
+  async findBlockByTimestamp(chainId, timestamp) {
+    const cacheKey = `${Number(chainId)}:${timestamp}`;
+    if (this.timestampBlocks.has(cacheKey)) {
+      return this.timestampBlocks.get(cacheKey);
+    }
+
+    const provider = await this.getProvider(chainId);
+    const head = await provider.getBlock('latest');
+    const timestamps = this.getBlockTimestampCache(chainId);
+    timestamps.set(head.number, head.timestamp);
+
+    if (timestamp > head.timestamp) {
+      throw new InputError(`Timestamp ${toIsoTime(timestamp)} is after the latest block on chain ${chainId} (${toIsoTime(head.timestamp)})`);
+    }
+
+    // Invariant: timestamp(lo) <= target < timestamp(hi)
+    let lo = 0;
+    let loTs = await this.getBlockTimestamp(chainId, 0);
+    let hi = head.number;
+    let hiTs = head.timestamp;
+
+    if (timestamp < loTs) {
+      throw new InputError(`Timestamp ${toIsoTime(timestamp)} is before the first block on chain ${chainId}`);
+    }
+
+    if (timestamp === hiTs) {
+      lo = hi;
+    } else {
+      // Narrow the starting bracket with blocks seen by earlier searches
+      for (const [number, ts] of timestamps) {
+        if (ts <= timestamp && number > lo) {
+          lo = number;
+          loTs = ts;
+        } else if (ts > timestamp && number < hi) {
+          hi = number;
+          hiTs = ts;
+        }
+      }
+
+      let interpolate = true;
+      while (hi - lo > 1) {
+        let mid;
+        if (interpolate && hiTs > loTs) {
+          mid = lo + Math.floor(((timestamp - loTs) * (hi - lo)) / (hiTs - loTs));
+          mid = Math.min(Math.max(mid, lo + 1), hi - 1);
+        } else {
+          mid = Math.floor((lo + hi) / 2);
+        }
+        interpolate = !interpolate;
+
+        const ts = await this.getBlockTimestamp(chainId, mid);
+        if (ts <= timestamp) {
+          lo = mid;
+          loTs = ts;
+        } else {
+          hi = mid;
+          hiTs = ts;
+        }
+      }
+    }
+
+    this.timestampBlocks.set(cacheKey, lo);
+    return lo;
+  }
+
+  /**
+   * Discover every LP token in the CreditVault and resolve its underlying token
+   * @returns {Array<Object>} Token data ({ lpTokenAddress, underlyingAddress, decimals, symbol, name,
+   *   isLPToken, metadataSource, metadataWarnings, error? })
+   */
+  async getTokenRegistry(chainId, blockNumber = null, debug = false) {
+    // Step 1: Get all LP tokens
+    if (debug) this.logger.log('Step 1: Fetching all LP tokens...');
+    const lpTokens = await this.getAllLPTokens(chainId, blockNumber, debug);
+
+    if (lpTokens.length === 0) {
+      if (debug) this.logger.log('No LP tokens found');
+      return [];
+    }
+
+    // Step 2: Get underlying tokens for each LP using multicall
+    if (debug) this.logger.log('\nStep 2: Resolving underlying tokens using multicall...');
+    return await this.batchGetUnderlyingTokens(chainId, lpTokens, blockNumber, debug);
+  }
+
+  /**
+   * Combine token data with position results, keeping non-zero positions of
+   * tokens that are not hidden by an override. Failed lookups are returned in `errors` ({ tokenAddress, tokenSymbol,
+   * lpTokenAddress, stage: 'metadata' | 'position', reason }) rather than
+   * being dropped like a zero position.
+   * @returns {Object} { positions, errors }
+   */
+  buildPositions(chainId, tokenData, positionResults, debug = false) {
+    const positions = [];
+    const errors = [];
+
+    for (let i = 0; i < tokenData.length; i++) {
+      const { lpTokenAddress, underlyingAddress, decimals, symbol, name, isLPToken, metadataSource, metadataWarnings, overrides, hidden, error } = tokenData[i];
+      const positionResult = positionResults[i];
+
+      if (debug) this.logger.log(`  ${i + 1}/${tokenData.length}: ${underlyingAddress} (${symbol})`);
+
+      if (hidden) {
+        if (debug) this.logger.log(`    → Hidden by token override`);
+      } else if (error) {
+        errors.push({ tokenAddress: underlyingAddress, tokenSymbol: symbol, lpTokenAddress, stage: 'metadata', reason: error });
+        if (debug) this.logger.log(`    → Metadata lookup failed: ${error}`);
+      } else if (!positionResult.success) {
+        errors.push({ tokenAddress: underlyingAddress, tokenSymbol: symbol, lpTokenAddress, stage: 'position', reason: positionResult.error });
+        if (debug) this.logger.log(`    → Position lookup failed: ${positionResult.error}`);
+      } else if (positionResult.position !== '0') {
+        const position = BigInt(positionResult.position);
+        const positionData = {
+          tokenAddress: underlyingAddress,
+          tokenSymbol: symbol,
+          tokenName: name,
+          canonicalAsset: this.assetRegistry.getAssetId(chainId, underlyingAddress),
+          lpTokenAddress: isLPToken ? lpTokenAddress : null,
+          position: position.toString(),
+          positionFormatted: ethers.formatUnits(position, decimals), // Use actual token decimals
+          decimals: decimals,
+          metadataSource,
+          ...(metadataWarnings.length > 0 && { metadataWarnings }),
+          ...(overrides && { overrides })
+        };
+
+        positions.push(positionData);
+
+        if (debug) this.logger.log(`    → Position: ${ethers.formatUnits(position, decimals)} ${symbol}`);
+      } else {
+        if (debug) this.logger.log(`    → No position`);
+      }
+    }
+
+    return { positions, errors };
+  }
+
+  /**
+   * In strict mode, fail instead of returning a result with failed lookups
+   */
+  checkComplete(errors) {
+    if (!this.strict || errors.length === 0) return;
+
+    const details = errors.map(error => {
+      const subject = error.tokenSymbol ?? error.chainName ?? `block ${error.blockNumber}`;
+      return `${subject} (${error.stage ? `${error.stage}: ` : ''}${error.reason ?? error.error})`;
+    });
+    const error = new Error(`${errors.length} lookup(s) failed: ${details.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  /**
+   * Count failed lookups by stage for result summaries
+   */
+  countFailures(errors) {
+    return {
+      failedMetadata: errors.filter(error => error.stage === 'metadata').length,
+      failedPositions: errors.filter(error => error.stage === 'position').length
+    };
+  }
+
+  /**
+   * Get USD prices for tokens at a resolved block from the price provider.
+   * A failing provider leaves the tokens unpriced instead of failing the query.
+   * @returns {Map} Lower-cased token address => { price, source, updatedAt?, stale? }
+   */
+  async getPositionPrices(chainId, tokens, block, debug = false) {
+    if (!this.priceProvider || tokens.length === 0) return new Map();
+
+    try {
+      const prices = await this.priceProvider.getPrices({
+        chainId: Number(chainId),
+        blockNumber: block.blockNumber,
+        blockTimestamp: block.blockTimestamp,
+        tokens,
+        multicall: await this.getMulticall(chainId, debug)
+      });
+
+      const stale = tokens.filter(token => prices.get(token.tokenAddress.toLowerCase())?.stale);
+      if (stale.length > 0) {
+        this.logger.warn(`⚠️  Stale prices on chain ${chainId} for: ${stale.map(token => token.tokenSymbol).join(', ')}`);
+      }
+      return prices;
+    } catch (error) {
+      this.logger.warn(`⚠️  Price lookup failed on chain ${chainId}, positions are left unpriced:`, error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Value positions in USD at a resolved block
+   * @returns {Object} { positions, valuation } - valuation is null without a price provider
+   */
+  async valuePositions(chainId, positions, block, debug = false) {
+    if (!this.priceProvider) return { positions, valuation: null };
+    return applyPrices(positions, await this.getPositionPrices(chainId, positions, block, debug));
+  }
+
+  /**
+   * Main function to list PMM positions
+   * @param {string} pmmAddress - The PMM trader address
+   * @param {number} chainId - The chain ID
+   * @param {number} targetBlock - The target block number (optional, defaults to latest)
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} Position data for all tokens, with a risk section (see core/risk.js)
+   */
+  async listPmmPositions(pmmAddress, chainId, targetBlock = null, debug = false) {
+    if (debug) {
+      this.logger.log(`Starting PMM position fetch...`);
+      this.logger.log(`   PMM Address: ${pmmAddress}`);
+      this.logger.log(`   Chain ID: ${chainId}`);
+      this.logger.log(`   Target Block: ${targetBlock || this.blockMode}`);
+      this.logger.log('');
+    }
+
+    // Validate inputs
+    if (!ethers.isAddress(pmmAddress)) {
+      throw new InputError(`Invalid PMM address: ${pmmAddress}`);
+    }
+
+    const config = this.getChainConfig(chainId);
+    const startTime = Date.now();
+
+    try {
+      const block = await this.resolveBlock(chainId, targetBlock);
+      if (debug) this.logger.log(`Pinned to block ${block.blockNumber} (${block.blockHash})\n`);
+
+      const tokenData = await this.getTokenRegistry(chainId, block.blockNumber, debug);
+
+      // Step 3: Get positions for each token using multicall
+      if (debug && tokenData.length > 0) this.logger.log('\nStep 3: Fetching positions using multicall...');
+      const underlyingAddresses = tokenData.map(t => t.underlyingAddress);
+      const positionResults = tokenData.length > 0
+        ? await this.batchGetPositions(chainId, pmmAddress, underlyingAddresses, block.blockNumber, debug)
+        : [];
+
+      const built = this.buildPositions(chainId, tokenData, positionResults, debug);
+      const { errors } = built;
+      this.checkComplete(errors);
+
+      const { positions, valuation } = await this.valuePositions(chainId, built.positions, block, debug);
+
+      const endTime = Date.now();
+      const fetchTime = endTime - startTime;
+
+      if (debug) {
+        this.logger.log('\nPosition fetch completed!');
+        this.logger.log(`   Total tokens checked: ${tokenData.length}`);
+        this.logger.log(`   Tokens with positions: ${positions.length}`);
+        if (errors.length > 0) this.logger.log(`   Failed lookups: ${errors.length}`);
+        if (valuation) this.logger.log(`   Total value: $${valuation.totalValueUsd} (${valuation.unpricedPositions} unpriced)`);
+        this.logger.log(`   Fetch time: ${fetchTime}ms`);
+      }
+
+      return {
+        chainId,
+        chainName: config.name,
+        pmmAddress,
+        targetBlock: targetBlock || this.blockMode,
+        ...block,
+        positions,
+        errors,
+        complete: errors.length === 0,
+        summary: {
+          totalTokens: tokenData.length,
+          tokensWithPositions: positions.length,
+          hiddenTokens: tokenData.filter(token => token.hidden).length,
+          ...this.countFailures(errors),
+          ...valuation,
+          fetchTime
+        },
+        risk: computeRisk(positions)
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error fetching PMM positions:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List positions for several PMM addresses on one chain in a single pass.
+   * The LP token registry is discovered once and all positions(trader, token)
+   * calls share the same multicall batches.
+   * @param {string[]} pmmAddresses - The PMM trader addresses
+   * @param {number} chainId - The chain ID
+   * @param {number} targetBlock - The target block number (optional, defaults to latest)
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} Per-address results plus combined totals per token and their risk
+   */
+  async listPmmPositionsForMany(pmmAddresses, chainId, targetBlock = null, debug = false) {
+    if (!Array.isArray(pmmAddresses) || pmmAddresses.length === 0) {
+      throw new InputError('At least one PMM address is required');
+    }
+
+    const invalid = pmmAddresses.filter(address => !ethers.isAddress(address));
+    if (invalid.length > 0) {
+      throw new InputError(`Invalid PMM address: ${invalid.join(', ')}`);
+    }
+
+    // Drop duplicates (case-insensitive) while keeping the caller's order
+    const seen = new Set();
+    const addresses = pmmAddresses.filter(address => {
+      const key = address.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    if (debug) {
+      this.logger.log(`Starting PMM position fetch for ${addresses.length} addresses...`);
+      this.logger.log(`   Chain ID: ${chainId}`);
+      this.logger.log(`   Target Block: ${targetBlock || this.blockMode}`);
+      this.logger.log('');
+    }
+
+    const config = this.getChainConfig(chainId);
+    const startTime = Date.now();
+
+    try {
+      const block = await this.resolveBlock(chainId, targetBlock);
+      if (debug) this.logger.log(`Pinned to block ${block.blockNumber} (${block.blockHash})\n`);
+
+      const tokenData = await this.getTokenRegistry(chainId, block.blockNumber, debug);
+
+      if (debug && tokenData.length > 0) this.logger.log('\nStep 3: Fetching positions for all addresses using multicall...');
+      const underlyingAddresses = tokenData.map(t => t.underlyingAddress);
+      const positionResults = tokenData.length > 0
+        ? await this.batchGetPositionsForMany(chainId, addresses, underlyingAddresses, block.blockNumber, debug)
+        : addresses.map(() => []);
+
+      const fetchTime = Date.now() - startTime;
+
+      const results = addresses.map((pmmAddress, t) => {
+        if (debug) this.logger.log(`\n${pmmAddress}:`);
+        const { positions, errors } = this.buildPositions(chainId, tokenData, positionResults[t], debug);
+        return {
+          chainId,
+          chainName: config.name,
+          pmmAddress,
+          targetBlock: targetBlock || this.blockMode,
+          ...block,
+          positions,
+          errors,
+          complete: errors.length === 0,
+          summary: {
+            totalTokens: tokenData.length,
+            tokensWithPositions: positions.length,
+            hiddenTokens: tokenData.filter(token => token.hidden).length,
+            ...this.countFailures(errors),
+            fetchTime
+          }
+        };
+      });
+
+      // Metadata failures are shared by every address; position failures are per address
+      const errors = [
+        ...results[0].errors.filter(error => error.stage === 'metadata'),
+        ...results.flatMap(result => result.errors
+          .filter(error => error.stage === 'position')
+          .map(error => ({ pmmAddress: result.pmmAddress, ...error })))
+      ];
+      this.checkComplete(errors);
+
+      // Combined total per token across all addresses
+      const totalsByToken = new Map();
+      for (const result of results) {
+        for (const position of result.positions) {
+          const total = totalsByToken.get(position.tokenAddress) || {
+            tokenAddress: position.tokenAddress,
+            tokenSymbol: position.tokenSymbol,
+            canonicalAsset: position.canonicalAsset,
+            lpTokenAddress: position.lpTokenAddress,
+            decimals: position.decimals,
+            amount: 0n,
+            pmmCount: 0
+          };
+          total.amount += BigInt(position.position);
+          total.pmmCount++;
+          totalsByToken.set(position.tokenAddress, total);
+        }
+      }
+
+      let totals = [...totalsByToken.values()].map(({ amount, ...total }) => ({
+        ...total,
+        position: amount.toString(),
+        positionFormatted: ethers.formatUnits(amount, total.decimals)
+      }));
+
+      // One price lookup covers every address: the totals hold each token with a position
+      let valuation = null;
+      if (this.priceProvider) {
+        const prices = await this.getPositionPrices(chainId, totals, block, debug);
+        for (const result of results) {
+          const valued = applyPrices(result.positions, prices);
+          result.positions = valued.positions;
+          Object.assign(result.summary, valued.valuation);
+        }
+        ({ positions: totals, valuation } = applyPrices(totals, prices));
+      }
+      for (const result of results) {
+        result.risk = computeRisk(result.positions);
+      }
+
+      if (debug) {
+        this.logger.log('\nPosition fetch completed!');
+        this.logger.log(`   Addresses: ${addresses.length}`);
+        this.logger.log(`   Total tokens checked: ${tokenData.length}`);
+        this.logger.log(`   Tokens with positions: ${totals.length}`);
+        this.logger.log(`   Fetch time: ${fetchTime}ms`);
+      }
+
+      return {
+        chainId,
+        chainName: config.name,
+        pmmAddresses: addresses,
+        targetBlock: targetBlock || this.blockMode,
+        ...block,
+        results,
+        totals,
+        errors,
+        complete: errors.length === 0,
+        summary: {
+          pmmCount: addresses.length,
+          totalTokens: tokenData.length,
+          tokensWithPositions: totals.length,
+          hiddenTokens: tokenData.filter(token => token.hidden).length,
+          ...this.countFailures(errors),
+          ...valuation,
+          fetchTime
+        },
+        risk: computeRisk(totals)
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error fetching PMM positions:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a PMM's positions across several chains concurrently.
+   * A failing chain is reported in `errors` instead of failing the whole call.
+   * @param {string} pmmAddress - The PMM trader address
+   * @param {number[]} chainIds - Chains to query (optional, defaults to every configured chain)
+   * @param {Object|string} targetBlocks - Target per chain ID (optional, missing chains use the block mode),
+   *   or one target such as a timestamp applied to every chain
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} Per-chain results, per-chain errors, net positions per asset and cross-chain risk
+   */
+  async listPortfolioPositions(pmmAddress, chainIds = null, targetBlocks = {}, debug = false) {
+    if (!ethers.isAddress(pmmAddress)) {
+      throw new InputError(`Invalid PMM address: ${pmmAddress}`);
+    }
+
+    const chains = (chainIds && chainIds.length > 0 ? chainIds : Object.keys(this.chains)).map(Number);
+    for (const chainId of chains) {
+      this.getChainConfig(chainId);
+    }
+
+    if (debug) this.logger.log(`Fetching portfolio for ${pmmAddress} on chains ${chains.join(', ')}...`);
+
+    const startTime = Date.now();
+    const settled = await Promise.allSettled(chains.map(chainId => (
+      this.listPmmPositions(pmmAddress, chainId, targetForChain(targetBlocks, chainId), debug)
+    )));
+
+    const results = [];
+    const errors = [];
+    settled.forEach((outcome, i) => {
+      const chainId = chains[i];
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      } else {
+        errors.push({
+          chainId,
+          chainName: this.getChainConfig(chainId).name,
+          error: outcome.reason?.message || String(outcome.reason)
+        });
+      }
+    });
+    this.checkComplete(errors);
+
+    const allPositions = results.flatMap(result => result.positions.map(position => ({
+      ...position,
+      chainId: result.chainId,
+      chainName: result.chainName
+    })));
+    const netByAsset = netPositionsByCanonicalAsset(allPositions);
+    const fetchTime = Date.now() - startTime;
+
+    if (debug) {
+      this.logger.log('\nPortfolio fetch completed!');
+      this.logger.log(`   Chains succeeded: ${results.length}/${chains.length}`);
+      this.logger.log(`   Assets with positions: ${netByAsset.length}`);
+      this.logger.log(`   Fetch time: ${fetchTime}ms`);
+    }
+
+    return {
+      pmmAddress,
+      chains: results,
+      errors,
+      complete: errors.length === 0 && results.every(result => result.complete),
+      netByAsset,
+      summary: {
+        chainsQueried: chains.length,
+        chainsSucceeded: results.length,
+        chainsFailed: errors.length,
+        tokensWithPositions: allPositions.length,
+        assetsWithPositions: netByAsset.length,
+        ...this.countFailures(results.flatMap(result => result.errors)),
+        ...(this.priceProvider && {
+          totalValueUsd: sumUsd(results.map(result => result.summary.totalValueUsd)),
+          unpricedPositions: results.reduce((sum, result) => sum + result.summary.unpricedPositions, 0)
+        }),
+        fetchTime
+      },
+      risk: computeRisk(allPositions)
+    };
+  }
+
+  /**
+   * Diff a PMM's positions between two blocks (or times) on one chain.
+   * Both snapshots use the token registry of the later block, so a token
+   * registered in between shows up as appeared rather than being missed.
+   * @param {string} pmmAddress - The PMM trader address
+   * @param {number} chainId - The chain ID
+   * @param {number|string} fromBlock - The earlier target (block number, block mode or time)
+   * @param {number|string} toBlock - The later target (optional, defaults to the block mode)
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} Both resolved blocks and per-token before/after/delta
+   */
+  async diffPmmPositions(pmmAddress, chainId, fromBlock, toBlock = null, debug = false) {
+    if (!ethers.isAddress(pmmAddress)) {
+      throw new InputError(`Invalid PMM address: ${pmmAddress}`);
+    }
+    if (fromBlock === null || fromBlock === undefined || fromBlock === '') {
+      throw new InputError('A from block is required');
+    }
+
+    const config = this.getChainConfig(chainId);
+    const startTime = Date.now();
+
+    try {
+      const [from, to] = await Promise.all([
+        this.resolveBlock(chainId, fromBlock),
+        this.resolveBlock(chainId, toBlock)
+      ]);
+      if (debug) this.logger.log(`Diffing block ${from.blockNumber} → ${to.blockNumber}\n`);
+
+      const registryBlock = Math.max(from.blockNumber, to.blockNumber);
+      const tokenData = await this.getTokenRegistry(chainId, registryBlock, debug);
+      const underlyingAddresses = tokenData.map(t => t.underlyingAddress);
+
+      if (debug && tokenData.length > 0) this.logger.log('\nStep 3: Fetching positions at both blocks using multicall...');
+      const [fromResults, toResults] = tokenData.length > 0
+        ? await Promise.all([
+          this.batchGetPositions(chainId, pmmAddress, underlyingAddresses, from.blockNumber, debug),
+          this.batchGetPositions(chainId, pmmAddress, underlyingAddresses, to.blockNumber, debug)
+        ])
+        : [[], []];
+
+      const fromSnapshot = this.buildPositions(chainId, tokenData, fromResults);
+      const toSnapshot = this.buildPositions(chainId, tokenData, toResults);
+      const errors = [
+        ...fromSnapshot.errors.map(error => ({ blockNumber: from.blockNumber, ...error })),
+        ...toSnapshot.errors.map(error => ({ blockNumber: to.blockNumber, ...error }))
+      ];
+      this.checkComplete(errors);
+
+      // A token whose lookup failed on either side has no meaningful delta
+      const failed = new Set(errors.map(error => error.tokenAddress.toLowerCase()));
+      const diff = diffPositions(fromSnapshot.positions, toSnapshot.positions)
+        .filter(entry => !failed.has(entry.tokenAddress.toLowerCase()));
+      const changes = diff.filter(entry => entry.status !== 'unchanged');
+      const countStatus = status => diff.filter(entry => entry.status === status).length;
+      const fetchTime = Date.now() - startTime;
+
+      if (debug) {
+        this.logger.log('\nPosition diff completed!');
+        this.logger.log(`   Tokens changed: ${changes.length}`);
+        this.logger.log(`   Fetch time: ${fetchTime}ms`);
+      }
+
+      return {
+        chainId,
+        chainName: config.name,
+        pmmAddress,
+        from: { targetBlock: fromBlock, ...from },
+        to: { targetBlock: toBlock || this.blockMode, ...to },
+        changes,
+        errors,
+        complete: errors.length === 0,
+        summary: {
+          totalTokens: tokenData.length,
+          changed: countStatus('changed'),
+          appeared: countStatus('appeared'),
+          disappeared: countStatus('disappeared'),
+          unchanged: countStatus('unchanged'),
+          ...this.countFailures(errors),
+          fetchTime
+        }
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error diffing PMM positions:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Sample a PMM's positions every N blocks or every N minutes between two
+   * targets on one chain. The token registry is discovered once at the later
+   * block and samples are fetched with bounded concurrency.
+   *
+   * Each fetched sample ({ chainId, pmmAddress, blockNumber, blockTimestamp,
+   * positions }) is passed to `onSample`; passing the collected samples back
+   * as `resumeSamples` skips those blocks, so an interrupted series can be
+   * resumed. Samples of another PMM or chain are rejected; samples of blocks
+   * this series no longer samples (e.g. the old last block of a range that
+   * ends at a moving block mode) are dropped with a warning. Failed samples
+   * (stage 'sample') and tokens whose metadata lookup failed (stage
+   * 'metadata') are reported in `errors` and leave `complete` false.
+   * @param {string} pmmAddress - The PMM trader address
+   * @param {number} chainId - The chain ID
+   * @param {number|string} fromBlock - The first target (block number, block mode or time)
+   * @param {number|string} toBlock - The last target (optional, defaults to the block mode)
+   * @param {Object} options - { everyBlocks | everyMinutes, concurrency, resumeSamples, onSample }
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} Sampled blocks and one position series per token
+   */
+  async listPmmPositionSeries(pmmAddress, chainId, fromBlock, toBlock = null, options = {}, debug = false) {
+    const {
+      everyBlocks,
+      everyMinutes,
+      concurrency = DEFAULT_SERIES_CONCURRENCY,
+      resumeSamples = [],
+      onSample
+    } = options;
+
+    if (!ethers.isAddress(pmmAddress)) {
+      throw new InputError(`Invalid PMM address: ${pmmAddress}`);
+    }
+    if (fromBlock === null || fromBlock === undefined || fromBlock === '') {
+      throw new InputError('A from block is required');
+    }
+    if (!(everyBlocks > 0) === !(everyMinutes > 0)) {
+      throw new InputError('Set exactly one of everyBlocks or everyMinutes to a positive number');
+    }
+    if (everyBlocks && !Number.isInteger(everyBlocks)) {
+      throw new InputError('everyBlocks must be a whole number');
+    }
+
+    const config = this.getChainConfig(chainId);
+    const startTime = Date.now();
+
+    try {
+      const [from, to] = await Promise.all([
+        this.resolveBlock(chainId, fromBlock),
+        this.resolveBlock(chainId, toBlock)
+      ]);
+      if (from.blockNumber > to.blockNumber) {
+        throw new InputError(`From block ${from.blockNumber} is after to block ${to.blockNumber}`);
+      }
+
+      const sampleBlocks = await this.getSampleBlocks(chainId, from, to, { everyBlocks, everyMinutes }, concurrency);
+      if (debug) this.logger.log(`Sampling ${sampleBlocks.length} blocks from ${from.blockNumber} to ${to.blockNumber}\n`);
+
+      const tokenData = await this.getTokenRegistry(chainId, to.blockNumber, debug);
+
+      const resumed = this.checkResumeSamples(resumeSamples, pmmAddress, chainId, sampleBlocks);
+      const errors = [];
+      let samplesFetched = 0;
+      let samplesResumed = 0;
+      let done = 0;
+
+      const samples = await mapWithConcurrency(sampleBlocks, concurrency, async blockNumber => {
+        let sample = resumed.get(blockNumber);
+        if (sample) {
+          samplesResumed++;
+        } else {
+          try {
+            sample = await this.fetchPositionSample(chainId, pmmAddress, tokenData, blockNumber);
+          } catch (error) {
+            this.logger.warn(`⚠️  Sample at block ${blockNumber} failed:`, error.message);
+            errors.push({ blockNumber, stage: 'sample', reason: error.message });
+            return null;
+          }
+          samplesFetched++;
+          onSample?.(sample);
+        }
+
+        done++;
+        if (debug) this.logger.log(`  Sample ${done}/${sampleBlocks.length}: block ${blockNumber}`);
+        return sample;
+      });
+
+      errors.sort((a, b) => a.blockNumber - b.blockNumber);
+      const samplesFailed = errors.length;
+
+      const fetchedSamples = samples.filter(Boolean);
+      const series = [];
+      for (const { lpTokenAddress, underlyingAddress, decimals, symbol, isLPToken, hidden, error } of tokenData) {
+        if (hidden) continue;
+        if (error) {
+          errors.push({ tokenAddress: underlyingAddress, tokenSymbol: symbol, lpTokenAddress, stage: 'metadata', reason: error });
+          continue;
+        }
+
+        const key = underlyingAddress.toLowerCase();
+        const values = fetchedSamples.map(sample => BigInt(sample.positions[key] ?? 0));
+        if (values.every(value => value === 0n)) continue;
+
+        series.push({
+          tokenAddress: underlyingAddress,
+          tokenSymbol: symbol,
+          canonicalAsset: this.assetRegistry.getAssetId(chainId, underlyingAddress),
+          lpTokenAddress: isLPToken ? lpTokenAddress : null,
+          decimals,
+          positions: values.map(value => value.toString()),
+          positionsFormatted: values.map(value => ethers.formatUnits(value, decimals))
+        });
+      }
+
+      this.checkComplete(errors);
+      const fetchTime = Date.now() - startTime;
+
+      if (debug) {
+        this.logger.log('\nPosition series completed!');
+        this.logger.log(`   Samples: ${fetchedSamples.length}/${sampleBlocks.length}`);
+        this.logger.log(`   Tokens with positions: ${series.length}`);
+        this.logger.log(`   Fetch time: ${fetchTime}ms`);
+      }
+
+      return {
+        chainId,
+        chainName: config.name,
+        pmmAddress,
+        from: { targetBlock: fromBlock, ...from },
+        to: { targetBlock: toBlock || this.blockMode, ...to },
+        interval: everyBlocks ? { blocks: everyBlocks } : { minutes: everyMinutes },
+        blocks: fetchedSamples.map(({ blockNumber, blockTimestamp }) => ({ blockNumber, blockTimestamp })),
+        series,
+        errors,
+        complete: errors.length === 0,
+        summary: {
+          samples: sampleBlocks.length,
+          samplesFetched,
+          samplesResumed,
+          samplesFailed,
+          failedMetadata: errors.length - samplesFailed,
+          totalTokens: tokenData.length,
+          tokensWithPositions: series.length,
+          fetchTime
+        }
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error fetching PMM position series:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that saved series samples belong to this series (same PMM and
+   * chain) and keep those of its sample blocks
+   * @returns {Map<number, Object>} Sample per block number
+   */
+  checkResumeSamples(resumeSamples, pmmAddress, chainId, sampleBlocks) {
+    const planned = new Set(sampleBlocks);
+    const resumed = new Map();
+    let dropped = 0;
+    for (const sample of resumeSamples) {
+      if (!sample.pmmAddress || sample.chainId === undefined) {
+        throw new Error(`Resume sample at block ${sample.blockNumber} does not record its PMM and chain`);
+      }
+      if (sample.pmmAddress.toLowerCase() !== pmmAddress.toLowerCase() || Number(sample.chainId) !== Number(chainId)) {
+        throw new Error(`Resume sample at block ${sample.blockNumber} is for PMM ${sample.pmmAddress} on chain ${sample.chainId}, ` +
+          `not ${pmmAddress} on chain ${chainId}`);
+      }
+      if (planned.has(sample.blockNumber)) {
+        resumed.set(sample.blockNumber, sample);
+      } else {
+        dropped++;
+      }
+    }
+    if (dropped > 0) {
+      this.logger.warn(`⚠️  Ignoring ${dropped} resume sample(s) outside the sample blocks of this series ` +
+        `(${sampleBlocks[0]} to ${sampleBlocks[sampleBlocks.length - 1]})`);
+    }
+    return resumed;
+  }
+
+  /**
+   * Plan the sample blocks of a series: every N blocks, or the last block at
+   * or before every N-minute mark. Always includes both ends.
+   * @returns {number[]} Sorted, unique block numbers
+   */
+  async getSampleBlocks(chainId, from, to, { everyBlocks, everyMinutes }, concurrency = DEFAULT_SERIES_CONCURRENCY) {
+    let blocks;
+
+    if (everyBlocks) {
+      const count = Math.floor((to.blockNumber - from.blockNumber) / everyBlocks) + 2;
+      checkSampleCount(count);
+      blocks = [];
+      for (let block = from.blockNumber; block < to.blockNumber; block += everyBlocks) {
+        blocks.push(block);
+      }
+    } else {
+      const step = everyMinutes * 60;
+      const start = from.requestedTimestamp ?? from.blockTimestamp;
+      const end = to.requestedTimestamp ?? to.blockTimestamp;
+      checkSampleCount(Math.floor((end - start) / step) + 2);
+
+      const marks = [];
+      for (let timestamp = start + step; timestamp < end; timestamp += step) {
+        marks.push(timestamp);
+      }
+      blocks = [
+        from.blockNumber,
+        ...await mapWithConcurrency(marks, concurrency, timestamp => this.findBlockByTimestamp(chainId, timestamp))
+      ];
+    }
+
+    blocks.push(to.blockNumber);
+    return [...new Set(blocks)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Fetch one series sample: the block timestamp and non-zero raw positions
+   * keyed by lower-cased token address, tagged with the PMM and chain. Throws
+   * when any position call fails.
+   */
+  async fetchPositionSample(chainId, pmmAddress, tokenData, blockNumber) {
+    const underlyingAddresses = tokenData.map(t => t.underlyingAddress);
+    const [blockTimestamp, results] = await Promise.all([
+      this.getBlockTimestamp(chainId, blockNumber),
+      underlyingAddresses.length > 0
+        ? this.batchGetPositions(chainId, pmmAddress, underlyingAddresses, blockNumber)
+        : []
+    ]);
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      throw new Error(`positions() failed for ${failed.length} token(s): ${failed[0].error}`);
+    }
+
+    const positions = {};
+    for (const result of results) {
+      if (result.position !== '0') {
+        positions[result.tokenAddress.toLowerCase()] = result.position;
+      }
+    }
+
+    return { chainId: Number(chainId), pmmAddress, blockNumber, blockTimestamp, positions };
+  }
+
+  /**
+   * Watch a PMM's positions on one chain, re-reading them on every new block.
+   * Reads use the fetcher's block mode, so "confirmed" watches trail the head.
+   * cleanup() stops every active watcher.
+   * @param {string} pmmAddress - The PMM trader address
+   * @param {number} chainId - The chain ID
+   * @param {Object} options - { interval } to poll every N ms (default 15000), or
+   *   { onNewBlock: true } to read on the provider's "block" events (pushed by WebSocket RPCs)
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {PositionWatcher} Started watcher (see core/watcher.js); its `snapshot` holds the initial result
+   */
+  async watchPmmPositions(pmmAddress, chainId, options = {}, debug = false) {
+    if (!ethers.isAddress(pmmAddress)) {
+      throw new InputError(`Invalid PMM address: ${pmmAddress}`);
+    }
+    this.getChainConfig(chainId);
+
+    if (options.interval !== undefined && !(Number.isInteger(options.interval) && options.interval > 0)) {
+      throw new Error(`Invalid watch interval: ${options.interval}. Expected a positive number of milliseconds`);
+    }
+
+    const watcher = new PositionWatcher(this, pmmAddress, chainId, options, debug);
+    await watcher.start();
+    this.watchers.add(watcher);
+
+    if (debug) {
+      this.logger.log(`Watching ${pmmAddress} on chain ${chainId} from block ${watcher.snapshot.blockNumber} ` +
+        `(${options.onNewBlock ? 'on new blocks' : `every ${watcher.interval}ms`})`);
+    }
+    return watcher;
+  }
+
+  /**
+   * Reconcile a PMM's on-chain positions with expected positions (see
+   * core/reconcile.js) on every chain the expected positions cover.
+   * @param {string} pmmAddress - The PMM trader address
+   * @param {ExpectedPositions} expected - The expected positions
+   * @param {number|string|Object} targetBlocks - Target for every chain (a block number
+   *   only when there is one chain), or chain ID => target
+   * @param {Object} options - { tolerance } used for entries without their own
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} The reconciliation report plus the failed lookups (`errors`) and `complete`
+   */
+  async reconcilePmmPositions(pmmAddress, expected, targetBlocks = null, options = {}, debug = false) {
+    if (!ethers.isAddress(pmmAddress)) {
+      throw new InputError(`Invalid PMM address: ${pmmAddress}`);
+    }
+    const chainIds = expected.chainIds;
+    if (chainIds.length === 0) {
+      throw new Error('No expected positions to reconcile');
+    }
+    chainIds.forEach(chainId => this.getChainConfig(chainId));
+    if (chainIds.length > 1 && (typeof targetBlocks !== 'object' || targetBlocks instanceof Date) &&
+      parseBlockTarget(targetBlocks).blockNumber !== undefined) {
+      throw new Error('Block numbers differ per chain, give a target per chain or a time');
+    }
+
+    const result = chainIds.length === 1
+      ? await this.listPmmPositions(pmmAddress, chainIds[0], targetForChain(targetBlocks, chainIds[0]), debug)
+      : await this.listPortfolioPositions(pmmAddress, chainIds, targetBlocks, debug);
+    const report = expected.reconcile(result, options);
+
+    if (debug) {
+      this.logger.log('\nReconciliation completed!');
+      this.logger.log(`   Matches: ${report.summary.match}/${report.summary.expectedPositions}`);
+      this.logger.log(`   Breaks: ${report.breaks.length}`);
+    }
+
+    // Portfolio results keep token failures in their per-chain sections
+    const errors = [...result.errors, ...(result.chains || []).flatMap(chain => chain.errors)];
+    return { ...report, errors, complete: result.complete };
+  }
+
+  /**
+   * List every LP token in a chain's CreditVault with its allLPTokens index
+   * and resolved metadata. `fellBack` marks tokens whose metadata did not
+   * come from their underlying ERC20 (see resolveTokenMetadata).
+   * @param {number} chainId - The chain ID
+   * @param {number} targetBlock - The target block number (optional, defaults to latest)
+   * @param {Object} options - { registeredBlocks } also find the block each LP token was
+   *   registered at (needs an archive RPC), { concurrency } of that search
+   * @param {boolean} debug - Enable verbose logging
+   * @returns {Object} { chainId, chainName, targetBlock, blockNumber, blockHash, blockTimestamp,
+   *   tokens, errors, complete, summary }
+   */
+  async listLPTokens(chainId, targetBlock = null, options = {}, debug = false) {
+    const config = this.getChainConfig(chainId);
+    const startTime = Date.now();
+
+    try {
+      const block = await this.resolveBlock(chainId, targetBlock);
+      if (debug) this.logger.log(`Pinned to block ${block.blockNumber} (${block.blockHash})\n`);
+
+      const tokenData = await this.getTokenRegistry(chainId, block.blockNumber, debug);
+      const registeredBlocks = options.registeredBlocks && tokenData.length > 0
+        ? await this.findRegistrationBlocks(chainId, tokenData.length, block.blockNumber, options.concurrency, debug)
+        : null;
+
+      const tokens = tokenData.map((token, index) => ({
+        index,
+        lpTokenAddress: token.lpTokenAddress,
+        tokenAddress: token.underlyingAddress,
+        tokenSymbol: token.symbol,
+        tokenName: token.name,
+        decimals: token.decimals,
+        isLPToken: token.isLPToken,
+        canonicalAsset: this.assetRegistry.getAssetId(chainId, token.underlyingAddress),
+        metadataSource: token.metadataSource,
+        // The LP token's own metadata only counts as a fallback when it has an underlying
+        fellBack: token.metadataSource === 'fallback' || (token.isLPToken && token.metadataSource === 'lp'),
+        metadataWarnings: token.metadataWarnings,
+        ...(token.overrides && { overrides: token.overrides, hidden: token.hidden }),
+        ...(token.error && { error: token.error }),
+        ...(registeredBlocks && { registeredBlock: registeredBlocks.get(index) })
+      }));
+
+      const errors = tokens.filter(token => token.error).map(token => ({
+        tokenAddress: token.tokenAddress,
+        tokenSymbol: token.tokenSymbol,
+        lpTokenAddress: token.lpTokenAddress,
+        stage: 'metadata',
+        reason: token.error
+      }));
+      this.checkComplete(errors);
+
+      const fetchTime = Date.now() - startTime;
+      if (debug) {
+        this.logger.log('\nLP token listing completed!');
+        this.logger.log(`   LP tokens: ${tokens.length}`);
+        this.logger.log(`   Metadata fallbacks: ${tokens.filter(token => token.fellBack).length}`);
+        this.logger.log(`   Fetch time: ${fetchTime}ms`);
+      }
+
+      return {
+        chainId,
+        chainName: config.name,
+        targetBlock: targetBlock || this.blockMode,
+        ...block,
+        tokens,
+        errors,
+        complete: errors.length === 0,
+        summary: {
+          totalTokens: tokens.length,
+          fellBack: tokens.filter(token => token.fellBack).length,
+          failedMetadata: errors.length,
+          fetchTime
+        }
+      };
+
+    } catch (error) {
+      this.logger.error(`❌ Error listing LP tokens:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the block at which each of the first `count` allLPTokens indices
+   * was registered, at or before a block.
+   *
+   * The array only grows, so probing the unresolved indices at a block
+   * splits them into those already registered and those registered later;
+   * each half is then searched in the lower or upper block range. This needs
+   * one multicall per range rather than one bisection per token. Ranges are
+   * split level by level, probing at most `concurrency` at once.
+   * @returns {Map<number, number>} Registration block per index
+   */
+  async findRegistrationBlocks(chainId, count, blockNumber, concurrency = DEFAULT_REGISTRATION_CONCURRENCY, debug = false) {
+    const creditVault = await this.getCreditVaultContract(chainId);
+    const deployedBlock = await this.findDeploymentBlock(chainId, creditVault.target, blockNumber);
+    if (debug) this.logger.log(`\nFinding LP token registration blocks from CreditVault deployment at block ${deployedBlock}...`);
+
+    const registered = new Map();
+    // Invariant: every index of a range is registered at `hi` and none before `lo`
+    let ranges = [{ indices: [...Array(count).keys()], lo: deployedBlock, hi: blockNumber }];
+    while (ranges.length > 0) {
+      for (const { indices, lo } of ranges.filter(range => range.lo === range.hi)) {
+        for (const index of indices) registered.set(index, lo);
+      }
+
+      const split = await mapWithConcurrency(ranges.filter(range => range.lo < range.hi), concurrency, async ({ indices, lo, hi }) => {
+        const mid = Math.floor((lo + hi) / 2);
+        const probed = await this.probeLPTokens(chainId, indices, mid, debug);
+        return [
+          { indices: indices.filter(index => probed.get(index)), lo, hi: mid },
+          { indices: indices.filter(index => !probed.get(index)), lo: mid + 1, hi }
+        ];
+      });
+      ranges = split.flat().filter(range => range.indices.length > 0);
+    }
+    if (debug) this.logger.log(`Found registration blocks for ${registered.size} LP tokens`);
+    return registered;
+  }
+
+  /**
+   * Find the first block at which a contract has code, at or before a block
+   * (bisection over eth_getCode, so it needs an archive RPC)
+   */
+  async findDeploymentBlock(chainId, address, blockNumber) {
+    const provider = await this.getProvider(chainId);
+    if (await provider.getCode(address, blockNumber) === '0x') {
+      throw new Error(`No contract at ${address} on chain ${chainId} at block ${blockNumber}`);
+    }
+
+    // Invariant: code at `hi`, none before `lo`
+    let lo = 0;
+    let hi = blockNumber;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (await provider.getCode(address, mid) === '0x') {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    return lo;
+  }
+
+  /**
+   * Get current block number for a chain
+   */
+  async getCurrentBlock(chainId) {
+    const provider = await this.getProvider(chainId);
+    return await provider.getBlockNumber();
+  }
+
+  /**
+   * Get network information for a chain
+   */
+  async getNetworkInfo(chainId) {
+    const provider = await this.getProvider(chainId);
+    const network = await provider.getNetwork();
+    const blockNumber = await provider.getBlockNumber();
+
+    return {
+      chainId: Number(network.chainId),
+      name: network.name,
+      blockNumber,
+      provider: this.customRpcUrl || this.getChainConfig(chainId).rpcUrl
+    };
+  }
+}
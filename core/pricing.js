@@ -0,0 +1,160 @@
+import { ethers } from 'ethers';
+import { CHAINLINK_AGGREGATOR_ABI } from './abis.js';
+import { createContractCall } from './multicall.js';
+
+// USD prices and values are computed with this many decimals
+export const USD_DECIMALS = 18;
+
+// Static prices are applied with USD_DECIMALS, so they cannot be finer
+const STATIC_PRICE = new RegExp(`^\\d+(\\.\\d{1,${USD_DECIMALS}})?$`);
+
+// Chainlink answers older than this (relative to the queried block) are flagged stale
+const DEFAULT_MAX_PRICE_AGE = 25 * 60 * 60;
+
+/**
+ * Price providers value positions in USD. A provider implements
+ *
+ *   getPrices({ chainId, blockNumber, blockTimestamp, tokens, multicall })
+ *
+ * where `tokens` are positions ({ tokenAddress, tokenSymbol, canonicalAsset })
+ * and `multicall` is the chain's Multicall3 helper, and resolves to a Map of
+ * lower-cased token address => { price, source, updatedAt?, stale? } with
+ * `price` a decimal USD string. Tokens without a price are left out.
+ */
+
+/**
+ * On-chain prices from Chainlink-style aggregators (latestRoundData()),
+ * read through Multicall3 at the queried block.
+ *
+ * Feeds are configured per chain, keyed by canonical asset ID or token address:
+ *   { "<chainId>": { "ETH": "0x<aggregator>", "0x<token>": "0x<aggregator>" } }
+ */
+export class ChainlinkPriceProvider {
+  constructor(feeds = {}, { maxAge = DEFAULT_MAX_PRICE_AGE } = {}) {
+    this.feeds = feeds;
+    this.maxAge = maxAge;
+  }
+
+  async getPrices({ chainId, blockNumber, blockTimestamp, tokens, multicall }) {
+    const chainFeeds = this.feeds[chainId] || {};
+    const feedByToken = new Map();
+
+    for (const token of tokens) {
+      const feed = chainFeeds[token.tokenAddress] ||
+        chainFeeds[token.tokenAddress.toLowerCase()] ||
+        (token.canonicalAsset && chainFeeds[token.canonicalAsset]);
+      if (feed) feedByToken.set(token.tokenAddress.toLowerCase(), feed);
+    }
+
+    const feeds = [...new Set(feedByToken.values())];
+    if (feeds.length === 0) return new Map();
+
+    const calls = feeds.flatMap(feed => [
+      createContractCall(feed, CHAINLINK_AGGREGATOR_ABI, 'latestRoundData'),
+      createContractCall(feed, CHAINLINK_AGGREGATOR_ABI, 'decimals')
+    ]);
+    const results = await multicall.batchCall(calls, blockNumber);
+    const aggregator = new ethers.Interface(CHAINLINK_AGGREGATOR_ABI);
+
+    const feedPrices = new Map();
+    feeds.forEach((feed, i) => {
+      const [roundResult, decimalsResult] = results.slice(i * 2, i * 2 + 2);
+      if (!roundResult.success || !decimalsResult.success) return;
+
+      try {
+        const { answer, updatedAt } = aggregator.decodeFunctionResult('latestRoundData', roundResult.data);
+        const [decimals] = aggregator.decodeFunctionResult('decimals', decimalsResult.data);
+        if (answer <= 0n) return;
+
+        feedPrices.set(feed, {
+          price: ethers.formatUnits(answer, Number(decimals)),
+          source: 'chainlink',
+          updatedAt: Number(updatedAt),
+          stale: blockTimestamp - Number(updatedAt) > this.maxAge
+        });
+      } catch (error) {
+        // Not an aggregator: leave the tokens unpriced
+      }
+    });
+
+    const prices = new Map();
+    for (const [token, feed] of feedByToken) {
+      if (feedPrices.has(feed)) prices.set(token, feedPrices.get(feed));
+    }
+    return prices;
+  }
+}
+
+/**
+ * Fixed prices for offline use, keyed by canonical asset ID or token address:
+ *   { "ETH": "3500.25", "USDC": 1, "0x<token>": "0.98" }
+ */
+export class StaticPriceProvider {
+  constructor(prices = {}) {
+    this.prices = new Map();
+    for (const [key, price] of Object.entries(prices)) {
+      if (!STATIC_PRICE.test(String(price))) {
+        throw new Error(`Invalid price for ${key}: ${price}, expected a non-negative amount with at most ${USD_DECIMALS} decimals`);
+      }
+      this.prices.set(ethers.isAddress(key) ? key.toLowerCase() : key, String(price));
+    }
+  }
+
+  async getPrices({ tokens }) {
+    const prices = new Map();
+    for (const token of tokens) {
+      const price = this.prices.get(token.tokenAddress.toLowerCase()) ??
+        (token.canonicalAsset ? this.prices.get(token.canonicalAsset) : undefined);
+      if (price !== undefined) {
+        prices.set(token.tokenAddress.toLowerCase(), { price, source: 'static' });
+      }
+    }
+    return prices;
+  }
+}
+
+/**
+ * Value positions with a price map from a provider.
+ * Adds priceUsd, valueUsd and priceSource (null when unpriced) to each position.
+ * @returns {Object} { positions, valuation: { totalValueUsd, pricedPositions, unpricedPositions } }
+ */
+export function applyPrices(positions, prices) {
+  let total = 0n;
+  let priced = 0;
+
+  const valued = positions.map(position => {
+    const price = prices.get(position.tokenAddress.toLowerCase());
+    if (!price) {
+      return { ...position, priceUsd: null, valueUsd: null, priceSource: null };
+    }
+
+    const value = BigInt(position.position) * ethers.parseUnits(price.price, USD_DECIMALS) / 10n ** BigInt(position.decimals);
+    total += value;
+    priced++;
+
+    return {
+      ...position,
+      priceUsd: price.price,
+      valueUsd: ethers.formatUnits(value, USD_DECIMALS),
+      priceSource: price.source,
+      ...(price.stale && { priceStale: true })
+    };
+  });
+
+  return {
+    positions: valued,
+    valuation: {
+      totalValueUsd: ethers.formatUnits(total, USD_DECIMALS),
+      pricedPositions: priced,
+      unpricedPositions: positions.length - priced
+    }
+  };
+}
+
+/**
+ * Sum USD value strings (e.g. summary.totalValueUsd of several results)
+ */
+export function sumUsd(values) {
+  const total = values.reduce((sum, value) => sum + ethers.parseUnits(value, USD_DECIMALS), 0n);
+  return ethers.formatUnits(total, USD_DECIMALS);
+}
@@ -0,0 +1,262 @@
+import { ethers } from 'ethers';
+import { abs } from './math.js';
+
+export const RECONCILE_STATUSES = ['match', 'break', 'missingOnChain', 'missingExpected', 'unverifiable'];
+
+const ENTRY_FIELDS = ['chainId', 'token', 'position', 'tolerance'];
+
+/**
+ * Expected positions from an internal ledger, reconciled against on-chain
+ * positions.
+ *
+ * Data has the shape (JSON, or CSV with the header chainId,token,position[,tolerance])
+ *   {
+ *     "tolerance": "5bps",
+ *     "positions": [
+ *       { "chainId": 56, "token": "USDC", "position": "-250000.5" },
+ *       { "chainId": 1, "token": "0x...", "position": "12.5", "tolerance": "0.01" }
+ *     ]
+ *   }
+ * or just the positions list.
+ *
+ * `token` is a token or LP address, a canonical asset ID or a symbol; a
+ * symbol or asset matching several tokens is compared against their sum.
+ * `position` is in token units (negative = short). A tolerance is an
+ * absolute amount in token units ("0.01") or basis points of the expected
+ * position ("5bps"). An entry's own tolerance comes first, then the one
+ * given to reconcile(), then the file's (default: exact match).
+ */
+export class ExpectedPositions {
+  constructor(data = {}) {
+    const { tolerance, positions } = Array.isArray(data) ? { positions: data } : data;
+    validateExpected(data, positions, tolerance);
+    this.tolerance = tolerance ?? null;
+    this.positions = positions.map(entry => ({
+      chainId: Number(entry.chainId),
+      token: ethers.isAddress(entry.token) ? entry.token.toLowerCase() : entry.token,
+      position: String(entry.position),
+      tolerance: entry.tolerance ?? null
+    }));
+  }
+
+  /**
+   * Chains with expected positions
+   */
+  get chainIds() {
+    return [...new Set(this.positions.map(entry => entry.chainId))];
+  }
+
+  /**
+   * Reconcile a listPmmPositions or listPortfolioPositions result.
+   *
+   * Every expected entry reports `match`, `break` (beyond tolerance),
+   * `missingOnChain` (no position) or `unverifiable` (its lookup or chain
+   * failed), and every on-chain position without an expected entry
+   * `missingExpected`. `breaks` lists every entry that is not a match.
+   *
+   * @param {Object} result - Positions on the expected chains
+   * @param {Object} [options] - { tolerance } default tolerance
+   * @returns {Object} { pmmAddress, chains, reconciled, entries, breaks, summary }
+   */
+  reconcile(result, { tolerance = null } = {}) {
+    const chains = result.chains || [result];
+    const chainErrors = result.chains ? result.errors : [];
+    const entries = [];
+
+    for (const expected of this.positions) {
+      const chain = chains.find(chain => chain.chainId === expected.chainId);
+      const chainError = chainErrors.find(error => error.chainId === expected.chainId);
+      const entryTolerance = parseTolerance(expected.tolerance ?? tolerance ?? this.tolerance ?? '0');
+      const base = {
+        chainId: expected.chainId,
+        chainName: chain?.chainName ?? chainError?.chainName ?? null,
+        token: expected.token,
+        tolerance: entryTolerance.text
+      };
+
+      if (!chain) {
+        entries.push({ ...base, status: 'unverifiable', expectedFormatted: expected.position, reason: chainError?.error ?? 'chain not fetched' });
+        continue;
+      }
+
+      const failed = chain.errors.filter(error => matchesToken(expected.token, error));
+      if (failed.length > 0) {
+        entries.push({
+          ...base,
+          status: 'unverifiable',
+          expectedFormatted: expected.position,
+          reason: failed.map(error => `${error.tokenSymbol}: ${error.stage}: ${error.reason}`).join('; ')
+        });
+        continue;
+      }
+
+      const matched = chain.positions.filter(position => matchesToken(expected.token, position));
+      if (matched.length === 0) {
+        entries.push({
+          ...base,
+          status: /^-?0*(\.0*)?$/.test(expected.position) ? 'match' : 'missingOnChain',
+          expectedFormatted: expected.position,
+          actual: '0',
+          actualFormatted: '0.0'
+        });
+        continue;
+      }
+
+      // Amounts of several matched tokens are summed at the largest decimals
+      const decimals = Math.max(...matched.map(position => position.decimals));
+      const actual = matched.reduce((sum, position) => sum + BigInt(position.position) * 10n ** BigInt(decimals - position.decimals), 0n);
+      const expectedAmount = toUnits(expected.position, decimals, `expected ${expected.token} position on chain ${expected.chainId}`);
+      const difference = actual - expectedAmount;
+      const withinTolerance = entryTolerance.bps !== undefined
+        ? abs(difference) * 10000n <= BigInt(entryTolerance.bps) * abs(expectedAmount)
+        : abs(difference) <= toUnits(entryTolerance.absolute, decimals, `${expected.token} tolerance on chain ${expected.chainId}`);
+
+      entries.push({
+        ...base,
+        status: withinTolerance ? 'match' : 'break',
+        tokenAddress: matched.length === 1 ? matched[0].tokenAddress : null,
+        tokenSymbol: matched.map(position => position.tokenSymbol).join(', '),
+        canonicalAsset: matched[0].canonicalAsset ?? null,
+        decimals,
+        expected: expectedAmount.toString(),
+        expectedFormatted: ethers.formatUnits(expectedAmount, decimals),
+        actual: actual.toString(),
+        actualFormatted: ethers.formatUnits(actual, decimals),
+        difference: difference.toString(),
+        differenceFormatted: ethers.formatUnits(difference, decimals),
+        differenceBps: expectedAmount === 0n ? null : Number(abs(difference) * 10000n / abs(expectedAmount))
+      });
+    }
+
+    for (const chain of chains) {
+      const expectedTokens = this.positions.filter(entry => entry.chainId === chain.chainId).map(entry => entry.token);
+      for (const position of chain.positions) {
+        if (expectedTokens.some(token => matchesToken(token, position))) continue;
+        entries.push({
+          chainId: chain.chainId,
+          chainName: chain.chainName,
+          token: position.canonicalAsset || position.tokenSymbol,
+          tolerance: null,
+          status: 'missingExpected',
+          tokenAddress: position.tokenAddress,
+          tokenSymbol: position.tokenSymbol,
+          canonicalAsset: position.canonicalAsset ?? null,
+          decimals: position.decimals,
+          actual: position.position,
+          actualFormatted: position.positionFormatted
+        });
+      }
+    }
+
+    const breaks = entries.filter(entry => entry.status !== 'match');
+    const countStatus = status => entries.filter(entry => entry.status === status).length;
+
+    return {
+      pmmAddress: result.pmmAddress,
+      chains: chains.map(({ chainId, chainName, blockNumber, blockTimestamp }) => ({ chainId, chainName, blockNumber, blockTimestamp })),
+      reconciled: breaks.length === 0,
+      entries,
+      breaks,
+      summary: {
+        expectedPositions: this.positions.length,
+        ...Object.fromEntries(RECONCILE_STATUSES.map(status => [status, countStatus(status)]))
+      }
+    };
+  }
+}
+
+/**
+ * Parse expected positions from CSV text: a chainId,token,position[,tolerance]
+ * header, then one row per position. Blank lines and lines starting with # are skipped.
+ * @returns {Array<Object>} Positions list for ExpectedPositions
+ */
+export function parseExpectedCsv(text) {
+  const rows = text.split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, cells: line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1')) }))
+    .filter(({ cells }) => cells.join('') !== '' && !cells[0].startsWith('#'));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].cells;
+  const missing = ['chainId', 'token', 'position'].filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s) ${missing.join(', ')} in expected positions CSV header`);
+  }
+
+  return rows.slice(1).map(({ line, cells }) => {
+    if (cells.length !== header.length) {
+      throw new Error(`Expected ${header.length} columns on line ${line} of expected positions CSV, got ${cells.length}`);
+    }
+    const entry = Object.fromEntries(header.map((column, i) => [column, cells[i]]));
+    if (entry.tolerance === '') delete entry.tolerance;
+    return entry;
+  });
+}
+
+/**
+ * Parse a tolerance: an absolute amount in token units or basis points ("5bps")
+ */
+export function parseTolerance(value) {
+  const text = String(value).trim();
+  const bps = /^(\d+(\.\d+)?)\s*bps$/i.exec(text);
+  if (bps) {
+    // Whole basis points keep the comparison in integers
+    if (!Number.isInteger(Number(bps[1]))) {
+      throw new Error(`Invalid tolerance ${text}, basis points must be whole`);
+    }
+    return { text: `${Number(bps[1])}bps`, bps: Number(bps[1]) };
+  }
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return { text, absolute: text };
+  }
+  throw new Error(`Invalid tolerance ${text}, expected an amount (e.g. 0.01) or basis points (e.g. 5bps)`);
+}
+
+function matchesToken(token, { tokenAddress, lpTokenAddress, canonicalAsset, tokenSymbol }) {
+  return [tokenAddress?.toLowerCase(), lpTokenAddress?.toLowerCase(), canonicalAsset, tokenSymbol].includes(token);
+}
+
+function validateExpected(data, positions, tolerance) {
+  if (!Array.isArray(data)) {
+    const unknown = Object.keys(data).filter(field => !['tolerance', 'positions'].includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field(s) ${unknown.join(', ')} in expected positions, expected: tolerance, positions`);
+    }
+  }
+  if (!Array.isArray(positions)) {
+    throw new Error('positions must be a list in expected positions');
+  }
+  if (tolerance !== undefined) parseTolerance(tolerance);
+
+  const keys = new Set();
+  positions.forEach((entry, i) => {
+    const where = `expected position ${i + 1}`;
+    const unknown = Object.keys(entry || {}).filter(field => !ENTRY_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field(s) ${unknown.join(', ')} in ${where}, expected: ${ENTRY_FIELDS.join(', ')}`);
+    }
+    if (!/^[1-9]\d*$/.test(String(entry.chainId))) {
+      throw new Error(`chainId must be a chain ID in ${where}`);
+    }
+    if (typeof entry.token !== 'string' || entry.token === '') {
+      throw new Error(`token must be a token address, asset or symbol in ${where}`);
+    }
+    if (!/^-?\d+(\.\d+)?$/.test(String(entry.position))) {
+      throw new Error(`position must be an amount in ${where}`);
+    }
+    if (entry.tolerance !== undefined) parseTolerance(entry.tolerance);
+
+    const key = `${entry.chainId}:${ethers.isAddress(entry.token) ? entry.token.toLowerCase() : entry.token}`;
+    if (keys.has(key)) {
+      throw new Error(`Duplicate ${where}: ${entry.token} on chain ${entry.chainId}`);
+    }
+    keys.add(key);
+  });
+}
+
+function toUnits(amount, decimals, what) {
+  try {
+    return ethers.parseUnits(amount, decimals);
+  } catch (error) {
+    throw new Error(`The ${what} (${amount}) has more than the token's ${decimals} decimals`);
+  }
+}
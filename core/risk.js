@@ -0,0 +1,112 @@
+import { ethers } from 'ethers';
+import { abs } from './math.js';
+import { USD_DECIMALS } from './pricing.js';
+
+// Concentration shares are reported with this many decimals
+const SHARE_DECIMALS = 4;
+
+/**
+ * Risk summary of a PMM's positions.
+ *
+ * Positions are signed (CreditVault.positions returns int256): a negative
+ * position is a short. Long and short amounts are netted per asset (canonical
+ * asset, else symbol) in token units, which needs no prices. USD exposure,
+ * the largest short and concentration need priced positions (see
+ * core/pricing.js) and cover the priced positions only; they are null when
+ * nothing is priced.
+ *
+ * @param {Array<Object>} positions - Positions from listPmmPositions, optionally priced
+ * @returns {Object} Risk section
+ */
+export function computeRisk(positions) {
+  const signed = positions.map(position => ({
+    position,
+    amount: BigInt(position.position),
+    value: position.valueUsd != null ? ethers.parseUnits(position.valueUsd, USD_DECIMALS) : null
+  }));
+  const priced = signed.filter(({ value }) => value !== null);
+
+  let grossLong = 0n;
+  let grossShort = 0n;
+  for (const { value } of priced) {
+    if (value > 0n) grossLong += value;
+    else grossShort -= value;
+  }
+  const gross = grossLong + grossShort;
+
+  const largestShort = priced.reduce((min, entry) => (entry.value < 0n && (!min || entry.value < min.value) ? entry : min), null);
+  const largest = priced.reduce((max, entry) => (!max || abs(entry.value) > abs(max.value) ? entry : max), null);
+  const usd = value => ethers.formatUnits(value, USD_DECIMALS);
+
+  return {
+    longPositions: signed.filter(({ amount }) => amount > 0n).length,
+    shortPositions: signed.filter(({ amount }) => amount < 0n).length,
+    pricedPositions: priced.length,
+    unpricedPositions: signed.length - priced.length,
+    grossLongUsd: priced.length > 0 ? usd(grossLong) : null,
+    grossShortUsd: priced.length > 0 ? usd(grossShort) : null,
+    grossExposureUsd: priced.length > 0 ? usd(gross) : null,
+    netExposureUsd: priced.length > 0 ? usd(grossLong - grossShort) : null,
+    largestShort: largestShort ? riskEntry(largestShort.position) : null,
+    concentration: largest && gross > 0n
+      ? {
+        ...riskEntry(largest.position),
+        shareOfGross: share(abs(largest.value), gross),
+        // Herfindahl index of the exposure shares: 1 = a single position, 1/n = n equal positions
+        herfindahlIndex: share(priced.reduce((sum, { value }) => sum + abs(value) ** 2n, 0n), gross ** 2n)
+      }
+      : null,
+    byAsset: exposureByAsset(signed)
+  };
+}
+
+/**
+ * Long, short and net amounts per asset in token units, scaled to the
+ * largest decimals of the asset's positions
+ */
+function exposureByAsset(signed) {
+  const groups = new Map();
+  for (const entry of signed) {
+    const asset = entry.position.canonicalAsset || entry.position.tokenSymbol.toUpperCase();
+    if (!groups.has(asset)) groups.set(asset, []);
+    groups.get(asset).push(entry);
+  }
+
+  return [...groups.entries()].map(([asset, entries]) => {
+    const decimals = Math.max(...entries.map(({ position }) => position.decimals));
+    let long = 0n;
+    let short = 0n;
+    for (const { position, amount } of entries) {
+      const scaled = amount * 10n ** BigInt(decimals - position.decimals);
+      if (scaled > 0n) long += scaled;
+      else short -= scaled;
+    }
+
+    return {
+      asset,
+      decimals,
+      grossLong: long.toString(),
+      grossLongFormatted: ethers.formatUnits(long, decimals),
+      grossShort: short.toString(),
+      grossShortFormatted: ethers.formatUnits(short, decimals),
+      netPosition: (long - short).toString(),
+      netPositionFormatted: ethers.formatUnits(long - short, decimals)
+    };
+  });
+}
+
+function riskEntry(position) {
+  return {
+    tokenAddress: position.tokenAddress,
+    tokenSymbol: position.tokenSymbol,
+    canonicalAsset: position.canonicalAsset ?? null,
+    ...(position.chainId !== undefined && { chainId: position.chainId }),
+    position: position.position,
+    positionFormatted: position.positionFormatted,
+    valueUsd: position.valueUsd
+  };
+}
+
+function share(part, whole) {
+  return Number(ethers.formatUnits(part * 10n ** BigInt(SHARE_DECIMALS) / whole, SHARE_DECIMALS));
+}
@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+import { tokenKey } from './assetRegistry.js';
+
+const OVERRIDE_FIELDS = ['symbol', 'decimals', 'name', 'hidden'];
+
+/**
+ * Token metadata overrides.
+ *
+ * Replaces broken on-chain metadata (a misleading symbol(), a proxy that
+ * reverts decimals()) and hides tokens from the output. Overrides are keyed
+ * by chain and by the underlying or the LP token address.
+ *
+ * Override data has the shape of data/token-overrides.json:
+ *   { "<chainId>": { "<address>": { "symbol": "...", "decimals": 6, "name": "...", "hidden": false } } }
+ *
+ * Later sources extend earlier ones field by field.
+ */
+export class TokenOverrides {
+  constructor(...sources) {
+    this.overrides = new Map();
+
+    for (const source of sources) {
+      this.extend(source);
+    }
+  }
+
+  /**
+   * Add the overrides from override data
+   */
+  extend(data = {}) {
+    for (const [chainId, tokens] of Object.entries(data)) {
+      for (const [address, override] of Object.entries(tokens)) {
+        validateOverride(chainId, address, override);
+        const key = tokenKey(chainId, address);
+        this.overrides.set(key, { ...this.overrides.get(key), ...override });
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Get the override for a token, or null when it has none
+   */
+  get(chainId, tokenAddress) {
+    return this.overrides.get(tokenKey(chainId, tokenAddress)) || null;
+  }
+
+  /**
+   * Get the combined override for an LP token and its underlying; fields set
+   * for the LP token win over those set for the underlying
+   */
+  resolve(chainId, underlyingAddress, lpTokenAddress) {
+    const underlying = underlyingAddress ? this.get(chainId, underlyingAddress) : null;
+    const lp = this.get(chainId, lpTokenAddress);
+    return underlying || lp ? { ...underlying, ...lp } : null;
+  }
+}
+
+function validateOverride(chainId, address, override) {
+  const where = `token override for ${address} on chain ${chainId}`;
+
+  if (!ethers.isAddress(address)) {
+    throw new Error(`Invalid address in ${where}`);
+  }
+
+  const unknown = Object.keys(override).filter(field => !OVERRIDE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) ${unknown.join(', ')} in ${where}, expected: ${OVERRIDE_FIELDS.join(', ')}`);
+  }
+
+  const { symbol, decimals, name, hidden } = override;
+  if (symbol !== undefined && typeof symbol !== 'string') {
+    throw new Error(`symbol must be a string in ${where}`);
+  }
+  if (decimals !== undefined && !(Number.isInteger(decimals) && decimals >= 0 && decimals <= 255)) {
+    throw new Error(`decimals must be an integer from 0 to 255 in ${where}`);
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    throw new Error(`name must be a string in ${where}`);
+  }
+  if (hidden !== undefined && typeof hidden !== 'boolean') {
+    throw new Error(`hidden must be true or false in ${where}`);
+  }
+}
@@ -0,0 +1,170 @@
+import { diffPositions } from './diff.js';
+
+// Default time between reads when polling
+export const DEFAULT_WATCH_INTERVAL = 15000;
+
+/**
+ * Live view of a PMM's positions on one chain, created by
+ * PMMPositionFetcher.watchPmmPositions.
+ *
+ * Re-reads the positions on every tick (a timer, or the provider's "block"
+ * event with onNewBlock) and emits:
+ *   - "update" (result): every read of a new block, a listPmmPositions result
+ *   - "change" (change): per token whose position differs from the previous
+ *     read, a diffPositions entry plus chainId, pmmAddress, blockNumber and
+ *     blockTimestamp
+ *   - "error" (error): a read that failed; watching continues
+ *   - "stop": after stop()
+ *
+ * Tokens whose lookup failed keep their previous position, so a failed read
+ * is never reported as a change.
+ */
+export class PositionWatcher {
+  constructor(fetcher, pmmAddress, chainId, { interval = DEFAULT_WATCH_INTERVAL, onNewBlock = false } = {}, debug = false) {
+    this.fetcher = fetcher;
+    this.pmmAddress = pmmAddress;
+    this.chainId = chainId;
+    this.interval = interval;
+    this.onNewBlock = onNewBlock;
+    this.debug = debug;
+    this.listeners = new Map();
+    this.snapshot = null;
+    this.positions = [];
+    this.stopped = false;
+    this.reading = false;
+    this.pending = false;
+    this.timer = null;
+    this.provider = null;
+    this.handleBlock = () => this.read();
+  }
+
+  /**
+   * Add an event listener
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  /**
+   * Remove an event listener
+   */
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    for (const listener of this.listeners.get(event) || []) {
+      try {
+        listener(...args);
+      } catch (error) {
+        this.fetcher.logger.error(`❌ Watch "${event}" listener failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Take the initial snapshot and start watching
+   * @returns {Object} The initial listPmmPositions result
+   */
+  async start() {
+    const result = await this.fetcher.listPmmPositions(this.pmmAddress, this.chainId, null, this.debug);
+    this.snapshot = result;
+    this.positions = result.positions;
+
+    if (this.onNewBlock) {
+      this.provider = await this.fetcher.getProvider(this.chainId);
+      await this.provider.on('block', this.handleBlock);
+    } else {
+      this.schedule();
+    }
+    return result;
+  }
+
+  schedule() {
+    if (this.stopped) return;
+    this.timer = setTimeout(async () => {
+      await this.read();
+      this.schedule();
+    }, this.interval);
+  }
+
+  /**
+   * Read the positions and emit the changes since the previous read.
+   * Ticks that arrive during a read are folded into one follow-up read.
+   */
+  async read() {
+    if (this.stopped) return;
+    if (this.reading) {
+      this.pending = true;
+      return;
+    }
+
+    this.reading = true;
+    try {
+      const result = await this.fetcher.listPmmPositions(this.pmmAddress, this.chainId, null, this.debug);
+      if (!this.stopped && result.blockNumber > this.snapshot.blockNumber) {
+        this.apply(result);
+      }
+    } catch (error) {
+      if (this.stopped) {
+        // Reads cut short by stop() / cleanup() are not errors
+      } else if (this.listeners.get('error')?.size) {
+        this.emit('error', error);
+      } else {
+        this.fetcher.logger.warn(`⚠️  Watch read failed for ${this.pmmAddress} on chain ${this.chainId}:`, error.message);
+      }
+    } finally {
+      this.reading = false;
+    }
+
+    if (this.pending && !this.stopped) {
+      this.pending = false;
+      await this.read();
+    }
+  }
+
+  apply(result) {
+    const failed = new Set(result.errors.map(error => error.tokenAddress.toLowerCase()));
+    const positions = [
+      ...result.positions,
+      ...this.positions.filter(position => failed.has(position.tokenAddress.toLowerCase()))
+    ];
+
+    const changes = diffPositions(this.positions, positions).filter(entry => entry.status !== 'unchanged');
+    this.snapshot = result;
+    this.positions = positions;
+
+    this.emit('update', result);
+    for (const change of changes) {
+      this.emit('change', {
+        chainId: this.chainId,
+        pmmAddress: this.pmmAddress,
+        blockNumber: result.blockNumber,
+        blockTimestamp: result.blockTimestamp,
+        ...change
+      });
+    }
+  }
+
+  /**
+   * Stop watching. Safe to call more than once.
+   */
+  stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    if (this.provider) {
+      // The provider may already be destroyed by cleanup()
+      Promise.resolve()
+        .then(() => this.provider.off('block', this.handleBlock))
+        .catch(() => {});
+    }
+
+    this.fetcher.watchers.delete(this);
+    this.emit('stop');
+  }
+}
@@ -0,0 +1,93 @@
+import http from 'http';
+import { PMMPositionFetcher } from './pmmPositionFetcher.js';
+import { createDefaultProvider } from './core/positionFetcher.js';
+import { PositionMetrics } from './core/metrics.js';
+
+/**
+ * Prometheus exporter: reads the positions of the configured PMMs on the
+ * configured chains every `interval` ms and serves them, with fetch health,
+ * on GET /metrics (see core/metrics.js).
+ *
+ * All PMMs of a chain are read in one listPmmPositionsForMany pass; chains
+ * are read concurrently, and the next round starts `interval` ms after the
+ * previous one finished.
+ *
+ * @param {Object} options
+ * @param {string[]} options.pmmAddresses - PMM trader addresses
+ * @param {number[]} options.chainIds - Chains to read
+ * @param {number} options.port - HTTP port
+ * @param {number} options.interval - Milliseconds between rounds
+ * @param {Object} [options.logger] - console-compatible logger
+ * @param {Object} [options.fetcherOptions] - Extra PMMPositionFetcher options
+ * @returns {Promise<Object>} { server, metrics, stop() }
+ */
+export async function startMetricsServer({ pmmAddresses, chainIds, port, interval, logger = console, fetcherOptions = {} }) {
+  const metrics = new PositionMetrics();
+  const createProvider = fetcherOptions.createProvider || createDefaultProvider;
+  const fetcher = new PMMPositionFetcher({
+    logger,
+    ...fetcherOptions,
+    // Count every JSON-RPC request per chain and method
+    createProvider: (chainId, rpcUrl, config) => {
+      const provider = createProvider(chainId, rpcUrl, config);
+      provider.on('debug', event => {
+        if (event.action !== 'sendRpcPayload') return;
+        for (const payload of [].concat(event.payload)) {
+          metrics.recordRpcCall(chainId, config.name, payload.method);
+        }
+      });
+      return provider;
+    }
+  });
+
+  let timer = null;
+  let stopped = false;
+
+  const readChain = async (chainId) => {
+    const startTime = Date.now();
+    try {
+      const result = await fetcher.listPmmPositionsForMany(pmmAddresses, chainId);
+      for (const pmmResult of result.results) {
+        metrics.recordResult(pmmResult);
+      }
+    } catch (error) {
+      logger.error(`❌ Metrics read failed on chain ${chainId}:`, error.message);
+      for (const pmmAddress of pmmAddresses) {
+        metrics.recordFailure(chainId, fetcher.getChainConfig(chainId).name, pmmAddress, Date.now() - startTime);
+      }
+    }
+  };
+
+  const round = async () => {
+    await Promise.all(chainIds.map(readChain));
+    if (!stopped) timer = setTimeout(round, interval);
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metrics.render());
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  round();
+
+  return {
+    server,
+    metrics,
+    stop: () => new Promise(resolve => {
+      stopped = true;
+      clearTimeout(timer);
+      fetcher.cleanup();
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    })
+  };
+}
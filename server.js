@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+// Load environment variables before config.js reads them
+import 'dotenv/config';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { DEFAULT_CONFIG } from './config.js';
+import pmmPositionsHandler from './api/pmm-positions.js';
+import reconcileHandler from './api/reconcile.js';
+
+// Largest accepted request body
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Routes: path => Vercel-style handler (req, res). Add new API routes here.
+ */
+export const ROUTES = {
+  '/api/pmm-positions': pmmPositionsHandler,
+  '/api/reconcile': reconcileHandler,
+  '/health': (req, res) => res.json({ status: 'ok' })
+};
+
+/**
+ * Create an HTTP server running Vercel-style handlers outside Vercel.
+ *
+ * Requests get Vercel's `req.body` (parsed JSON) and responses its
+ * `res.status()` / `res.json()` helpers, so the handlers in api/ run unchanged.
+ * Every request is logged with its status and duration.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.routes] - Path => handler (defaults to ROUTES)
+ * @param {Object} [options.logger] - console-compatible logger
+ * @returns {http.Server}
+ */
+export function createServer({ routes = ROUTES, logger = console } = {}) {
+  return http.createServer(async (req, res) => {
+    const startTime = Date.now();
+    const path = req.url.split('?')[0];
+    res.on('finish', () => {
+      logger.log(`${new Date().toISOString()} ${req.method} ${path} ${res.statusCode} ${Date.now() - startTime}ms`);
+    });
+
+    res.status = code => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = body => {
+      if (!res.headersSent) res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+      return res;
+    };
+
+    const handler = routes[path];
+    if (!handler) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      req.body = await readJsonBody(req);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ error: error.message });
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      logger.error(`❌ Unhandled error in ${path}:`, error.message);
+      if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+      else res.end();
+    }
+  });
+}
+
+/**
+ * Read and parse a JSON request body (an empty object when there is none)
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      const error = new Error('Request body too large');
+      error.statusCode = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error('Invalid JSON body');
+  }
+}
+
+/**
+ * Start the server and stop it gracefully on SIGINT / SIGTERM: stop accepting
+ * connections, let in-flight requests finish (up to SHUTDOWN_TIMEOUT) and exit
+ */
+export async function startServer({ port = DEFAULT_CONFIG.PORT, host = DEFAULT_CONFIG.HOST, logger = console } = {}) {
+  const server = createServer({ logger });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  logger.log(`✅ API server listening on http://${host}:${port} (routes: ${Object.keys(ROUTES).join(', ')})`);
+
+  const shutdown = signal => {
+    logger.log(`${signal} received, shutting down...`);
+    const timer = setTimeout(() => {
+      logger.warn(`⚠️  Requests still running after ${DEFAULT_CONFIG.SHUTDOWN_TIMEOUT}ms, exiting`);
+      process.exit(1);
+    }, DEFAULT_CONFIG.SHUTDOWN_TIMEOUT);
+    timer.unref();
+
+    server.close(() => {
+      logger.log('Server stopped');
+      process.exit(0);
+    });
+    server.closeIdleConnections?.();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return server;
+}
+
+// Run the server when started directly (npm run serve)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startServer().catch(error => {
+    console.error('❌ Failed to start server:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,194 @@
+import fs from 'fs';
+import { diffPositions } from './core/diff.js';
+
+/**
+ * Append-only JSONL store of listPmmPositions results.
+ *
+ * Each line is one snapshot:
+ *   { id, recordedAt, chainId, chainName, pmmAddress, blockNumber, blockHash, blockTimestamp, complete, result }
+ *
+ * Snapshots are keyed by chain, PMM and resolved block: a result for a key
+ * that already has a complete snapshot is not recorded again. IDs are
+ * sequential, so they can be quoted in `cli.js history`.
+ *
+ * The store assumes a single writer per file: the next ID comes from the
+ * lines already in the file, so two processes appending at the same time
+ * can record the same ID. Writes only read the lines appended since the
+ * store's previous write.
+ *
+ * @param {string} file - Path of the JSONL file (created on first record)
+ * @param {Object} [options] - { logger }
+ */
+export class SnapshotStore {
+  constructor(file, { logger = console } = {}) {
+    this.file = file;
+    this.logger = logger;
+    // Index of the lines read so far: byte offset, line count, highest ID, keys with a complete snapshot
+    this.offset = 0;
+    this.lines = 0;
+    this.lastId = 0;
+    this.completeKeys = new Set();
+  }
+
+  /**
+   * Record a listPmmPositions result
+   * @returns {Object|null} The stored snapshot, or null when the key already has a complete one
+   */
+  record(result) {
+    const partial = this.sync();
+    if (this.completeKeys.has(snapshotKey(result))) {
+      return null;
+    }
+
+    const snapshot = {
+      id: this.lastId + 1,
+      recordedAt: new Date().toISOString(),
+      chainId: result.chainId,
+      chainName: result.chainName,
+      pmmAddress: result.pmmAddress,
+      blockNumber: result.blockNumber,
+      blockHash: result.blockHash,
+      blockTimestamp: result.blockTimestamp,
+      complete: result.complete,
+      result
+    };
+    // Start a new line after a line cut short by an interrupted write
+    fs.appendFileSync(this.file, (partial ? '\n' : '') + JSON.stringify(snapshot) + '\n');
+    return snapshot;
+  }
+
+  /**
+   * Add the complete lines appended since the last sync to the index
+   * @returns {boolean} Whether the file ends with a line cut short
+   */
+  sync() {
+    if (!fs.existsSync(this.file)) return false;
+
+    const size = fs.statSync(this.file).size;
+    if (size < this.offset) {
+      // The file was truncated or replaced: index it again
+      this.offset = 0;
+      this.lines = 0;
+      this.lastId = 0;
+      this.completeKeys.clear();
+    }
+    if (size === this.offset) return false;
+
+    const buffer = Buffer.alloc(size - this.offset);
+    const fd = fs.openSync(this.file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // A last line without a newline is read again once a newline follows it
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    const text = buffer.subarray(0, end).toString('utf8');
+    for (const snapshot of this.parse(text, this.lines)) {
+      this.lastId = Math.max(this.lastId, snapshot.id);
+      if (snapshot.complete) this.completeKeys.add(snapshotKey(snapshot));
+    }
+    this.offset += end;
+    this.lines += text.split('\n').length - 1;
+    return end < buffer.length;
+  }
+
+  /**
+   * List snapshots without their results, oldest first
+   * @param {Object} [filter] - { pmmAddress, chainId }
+   */
+  list({ pmmAddress, chainId } = {}) {
+    return this.load()
+      .filter(snapshot => !pmmAddress || snapshot.pmmAddress.toLowerCase() === pmmAddress.toLowerCase())
+      .filter(snapshot => !chainId || snapshot.chainId === chainId)
+      .map(({ result, ...snapshot }) => ({ ...snapshot, positions: result.positions.length }));
+  }
+
+  /**
+   * Get a snapshot by ID
+   */
+  get(id) {
+    return this.find(this.load(), id);
+  }
+
+  /**
+   * Compare two snapshots of the same PMM and chain token by token, in the shape of
+   * diffPmmPositions. Tokens whose lookup failed in either snapshot are left out.
+   */
+  compare(fromId, toId) {
+    const snapshots = this.load();
+    const from = this.find(snapshots, fromId);
+    const to = this.find(snapshots, toId);
+    if (from.chainId !== to.chainId) {
+      throw new Error(`Snapshots ${from.id} (${from.chainName}) and ${to.id} (${to.chainName}) are on different chains`);
+    }
+    if (from.pmmAddress.toLowerCase() !== to.pmmAddress.toLowerCase()) {
+      throw new Error(`Snapshots ${from.id} (${from.pmmAddress}) and ${to.id} (${to.pmmAddress}) are of different PMMs`);
+    }
+
+    const errors = [
+      ...from.result.errors.map(error => ({ blockNumber: from.blockNumber, ...error })),
+      ...to.result.errors.map(error => ({ blockNumber: to.blockNumber, ...error }))
+    ];
+    const failed = new Set(errors.map(error => error.tokenAddress.toLowerCase()));
+    const diff = diffPositions(from.result.positions, to.result.positions)
+      .filter(entry => !failed.has(entry.tokenAddress.toLowerCase()));
+    const countStatus = status => diff.filter(entry => entry.status === status).length;
+    const side = ({ id, recordedAt, pmmAddress, blockNumber, blockHash, blockTimestamp }) => (
+      { snapshotId: id, recordedAt, pmmAddress, blockNumber, blockHash, blockTimestamp }
+    );
+
+    return {
+      chainId: to.chainId,
+      chainName: to.chainName,
+      pmmAddress: to.pmmAddress,
+      from: side(from),
+      to: side(to),
+      changes: diff.filter(entry => entry.status !== 'unchanged'),
+      errors,
+      complete: errors.length === 0,
+      summary: {
+        totalTokens: diff.length,
+        changed: countStatus('changed'),
+        appeared: countStatus('appeared'),
+        disappeared: countStatus('disappeared'),
+        unchanged: countStatus('unchanged')
+      }
+    };
+  }
+
+  find(snapshots, id) {
+    const snapshot = snapshots.find(snapshot => snapshot.id === Number(id));
+    if (!snapshot) {
+      throw new Error(`Snapshot ${id} not found in ${this.file}`);
+    }
+    return snapshot;
+  }
+
+  load() {
+    return this.parse(this.read());
+  }
+
+  read() {
+    return fs.existsSync(this.file) ? fs.readFileSync(this.file, 'utf8') : '';
+  }
+
+  parse(text, firstLine = 0) {
+    const snapshots = [];
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by an interrupted write; the rest of the store is still usable
+        this.logger.warn(`⚠️  Skipping unreadable line ${firstLine + i + 1} of ${this.file}: ${error.message}`);
+      }
+    });
+    return snapshots;
+  }
+}
+
+function snapshotKey({ chainId, pmmAddress, blockNumber }) {
+  return `${chainId}:${pmmAddress.toLowerCase()}:${blockNumber}`;
+}
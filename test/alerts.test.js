@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertRules, AlertMonitor, WebhookNotifier } from '../core/alerts.js';
+
+const TOKEN = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
+const QUIET = { log() {}, warn() {}, error() {} };
+
+const position = (amount, decimals = 6) =>
+  ({ tokenAddress: TOKEN, tokenSymbol: 'USDC', decimals, position: amount, positionFormatted: amount });
+
+const read = (blockNumber, complete = true) => ({ chainId: 56, chainName: 'BSC', blockNumber, complete, errors: complete ? [] : [{}] });
+
+// Lets the monitor's notify promises settle
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function monitor(rules, notify) {
+  const alerts = [];
+  const alertMonitor = new AlertMonitor(new AlertRules({ rules }), {
+    logger: QUIET,
+    notify: async alert => {
+      alerts.push(`${alert.status} ${alert.rule}: ${alert.message}`);
+      await notify?.(alert);
+    }
+  });
+  return { alertMonitor, alerts };
+}
+
+test('threshold alerts once when crossed and once when back', async () => {
+  const { alertMonitor, alerts } = monitor([{ type: 'threshold', name: 'usdc-short', asset: 'USDC', below: '-1000' }]);
+  for (const [blockNumber, amount] of [[1, '-999000000'], [2, '-1000000001'], [3, '-2000000000'], [4, '0']]) {
+    alertMonitor.handleRead(read(blockNumber), [position(amount)]);
+  }
+  await settle();
+
+  assert.deepEqual(alerts, [
+    'firing usdc-short: USDC position -1000000001 is below -1000',
+    'resolved usdc-short: USDC position is back within usdc-short'
+  ]);
+});
+
+test('threshold levels finer than the token are compared, not rejected', async () => {
+  const { alertMonitor, alerts } = monitor([{ type: 'threshold', asset: 'USDC', above: '1.1234567' }]);
+  alertMonitor.handleRead(read(1), [position('1123456')]);
+  alertMonitor.handleRead(read(2), [position('1123457')]);
+  await settle();
+
+  assert.deepEqual(alerts, ['firing threshold-1: USDC position 1123457 is above 1.1234567']);
+});
+
+test('change alerts when a position moves by more than the percentage', async () => {
+  const { alertMonitor, alerts } = monitor([{ type: 'change', percent: 20 }]);
+  alertMonitor.previous = [position('1000')];
+  alertMonitor.handleRead(read(1), [position('1200')]);
+  alertMonitor.handleRead(read(2), [position('1500')]);
+  await settle();
+
+  assert.deepEqual(alerts, ['firing change-1: USDC changed by 25.00% (1200 -> 1500)']);
+});
+
+test('signFlip sees flips and closes, also through reads without the token', async () => {
+  const { alertMonitor, alerts } = monitor([{ type: 'signFlip' }]);
+  alertMonitor.previous = [position('5')];
+  for (const [blockNumber, positions] of [[1, []], [2, [position('-3')]], [3, [position('4')]], [4, [position('4')]]]) {
+    alertMonitor.handleRead(read(blockNumber), positions);
+  }
+  await settle();
+
+  assert.deepEqual(alerts, [
+    'firing signFlip-1: USDC closed from 5 to 0.0',
+    'firing signFlip-1: USDC flipped from 5 to -3',
+    'firing signFlip-1: USDC flipped from -3 to 4'
+  ]);
+});
+
+test('fetchFailures alerts after count failed reads and resolves on a complete one', async () => {
+  const { alertMonitor, alerts } = monitor([{ type: 'fetchFailures', count: 2 }]);
+  alertMonitor.handleFailure(read(1), 'timeout');
+  alertMonitor.handleFailure(read(2), 'timeout');
+  alertMonitor.handleFailure(read(3), 'timeout');
+  alertMonitor.handleRead(read(4), []);
+  await settle();
+
+  assert.deepEqual(alerts, [
+    'firing fetchFailures-1: 2 reads in a row failed: timeout',
+    'resolved fetchFailures-1: reads succeed again'
+  ]);
+});
+
+test('an undelivered alert fires again on the next read', async () => {
+  let fail = true;
+  const { alertMonitor, alerts } = monitor([{ type: 'threshold', asset: 'USDC', below: '0' }], () => {
+    if (fail) throw new Error('webhook down');
+  });
+  alertMonitor.handleRead(read(1), [position('-1')]);
+  await settle();
+  fail = false;
+  alertMonitor.handleRead(read(2), [position('-1')]);
+  await settle();
+  alertMonitor.handleRead(read(3), [position('-1')]);
+  await settle();
+
+  assert.equal(alerts.length, 2);
+  assert.ok(alerts.every(alert => alert.startsWith('firing')));
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => new AlertRules({ hooks: [] }), /Unknown field\(s\) hooks/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'price' }] }), /Invalid type price/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'threshold', below: '1' }] }), /asset is required/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'threshold', asset: 'USDC' }] }), /above or below is required/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'threshold', asset: 'USDC', above: '1e6' }] }), /above must be an amount/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'change', percent: 0 }] }), /percent must be a positive number/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'fetchFailures', count: 1.5 }] }), /count must be a positive integer/);
+  assert.throws(() => new AlertRules({ rules: [{ type: 'signFlip', asset: 'USDC', percent: 5 }] }), /Unknown field\(s\) percent/);
+});
+
+test('WebhookNotifier retries failed deliveries and sends an alert once', async () => {
+  const statuses = [500, 200];
+  const requests = [];
+  const notifier = new WebhookNotifier('https://hooks.example.com/x', {
+    retryDelay: 1,
+    logger: QUIET,
+    fetch: async (url, options) => {
+      requests.push(JSON.parse(options.body));
+      const status = statuses.shift() ?? 200;
+      return { ok: status < 300, status };
+    }
+  });
+  const alert = { rule: 'usdc-short', status: 'firing', tokenAddress: TOKEN, blockNumber: 1 };
+
+  await notifier.send(alert);
+  await notifier.send(alert);
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests[1], alert);
+});
+
+test('WebhookNotifier does not remember alerts it could not deliver', async () => {
+  let up = false;
+  let requests = 0;
+  const notifier = new WebhookNotifier('https://hooks.example.com/x', {
+    retries: 0,
+    logger: QUIET,
+    fetch: async () => {
+      requests++;
+      return { ok: up, status: up ? 200 : 503 };
+    }
+  });
+  const alert = { rule: 'r', status: 'firing', blockNumber: 1 };
+
+  await assert.rejects(notifier.send(alert), /Webhook responded 503/);
+  up = true;
+  await notifier.send(alert);
+  assert.equal(requests, 2);
+});
+
+test('WebhookNotifier aborts a webhook that does not answer', async () => {
+  const notifier = new WebhookNotifier('https://hooks.example.com/x', {
+    retries: 0,
+    timeout: 20,
+    logger: QUIET,
+    fetch: (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+  });
+  // Keeps the event loop alive until the timeout fires
+  const timer = setTimeout(() => {}, 1000);
+  await assert.rejects(notifier.send({ rule: 'r', status: 'firing' }), { name: 'TimeoutError' });
+  clearTimeout(timer);
+});
+
+test('WebhookNotifier rejects URLs that are not http(s)', () => {
+  assert.throws(() => new WebhookNotifier('ftp://example.com'), /Invalid webhook URL/);
+  assert.throws(() => new WebhookNotifier(null), /Invalid webhook URL/);
+});
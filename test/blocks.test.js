@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBlockTarget, toUnixSeconds, toIsoTime } from '../core/blocks.js';
+import { InputError } from '../core/errors.js';
+
+test('parseBlockTarget reads block numbers and block modes', () => {
+  assert.deepEqual(parseBlockTarget(null), { mode: null });
+  assert.deepEqual(parseBlockTarget(''), { mode: null });
+  assert.deepEqual(parseBlockTarget(18500000), { blockNumber: 18500000 });
+  assert.deepEqual(parseBlockTarget(18500000n), { blockNumber: 18500000 });
+  assert.deepEqual(parseBlockTarget(' 18500000 '), { blockNumber: 18500000 });
+  assert.deepEqual(parseBlockTarget('finalized'), { mode: 'finalized' });
+});
+
+test('parseBlockTarget reads unix times and Dates', () => {
+  assert.deepEqual(parseBlockTarget('@1704067200'), { timestamp: 1704067200 });
+  assert.deepEqual(parseBlockTarget(new Date('2024-01-01T00:00:00.900Z')), { timestamp: 1704067200 });
+});
+
+test('parseBlockTarget reads ISO timestamps with a time zone', () => {
+  assert.deepEqual(parseBlockTarget('2024-01-01T00:00:00Z'), { timestamp: 1704067200 });
+  assert.deepEqual(parseBlockTarget('2024-01-01T02:00:00+02:00'), { timestamp: 1704067200 });
+  assert.deepEqual(parseBlockTarget('2023-12-31T19:00-05:00'), { timestamp: 1704067200 });
+  assert.deepEqual(parseBlockTarget('2024-01-01T00:00:00.500z'), { timestamp: 1704067200 });
+});
+
+test('parseBlockTarget reads a date alone as UTC', () => {
+  assert.deepEqual(parseBlockTarget('2024-01-01'), { timestamp: 1704067200 });
+});
+
+test('parseBlockTarget rejects ISO date-times without a time zone', () => {
+  for (const target of ['2024-01-01T00:00:00', '2024-01-01T00:00']) {
+    assert.throws(() => parseBlockTarget(target), { name: 'InputError', message: /need a time zone/ });
+  }
+});
+
+test('parseBlockTarget rejects anything else', () => {
+  for (const target of ['soon', 'Jan 1 2024', '-5', '1.5', '@-1', '2024-01-01 00:00:00Z']) {
+    assert.throws(() => parseBlockTarget(target), error => error instanceof InputError && /Invalid target block/.test(error.message), target);
+  }
+});
+
+test('toUnixSeconds and toIsoTime convert between Dates, unix seconds and ISO', () => {
+  assert.equal(toUnixSeconds(new Date('2024-01-01T00:00:01.999Z')), 1704067201);
+  assert.equal(toIsoTime(1704067200), '2024-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffPositions } from '../core/diff.js';
+
+const position = (tokenAddress, tokenSymbol, position, decimals = 6) => ({ tokenAddress, tokenSymbol, position, decimals });
+
+test('diffPositions classifies every token on either side', () => {
+  const changes = diffPositions(
+    [position('0xA', 'A', '100'), position('0xB', 'B', '-50'), position('0xC', 'C', '7')],
+    [position('0xa', 'A', '150'), position('0xC', 'C', '7'), position('0xD', 'D', '-1')]
+  );
+
+  assert.deepEqual(changes.map(({ tokenSymbol, status, before, after, delta }) => ({ tokenSymbol, status, before, after, delta })), [
+    { tokenSymbol: 'A', status: 'changed', before: '100', after: '150', delta: '50' },
+    { tokenSymbol: 'B', status: 'disappeared', before: '-50', after: '0', delta: '50' },
+    { tokenSymbol: 'C', status: 'unchanged', before: '7', after: '7', delta: '0' },
+    { tokenSymbol: 'D', status: 'appeared', before: '0', after: '-1', delta: '-1' }
+  ]);
+});
+
+test('diffPositions formats amounts and fills optional fields', () => {
+  const [change] = diffPositions([position('0xA', 'A', '1500000')], [position('0xA', 'A', '-2500000')]);
+  assert.equal(change.beforeFormatted, '1.5');
+  assert.equal(change.afterFormatted, '-2.5');
+  assert.equal(change.deltaFormatted, '-4.0');
+  assert.equal(change.canonicalAsset, null);
+  assert.equal(change.lpTokenAddress, null);
+});
+
+test('diffPositions scales to the larger decimals when the sides disagree', () => {
+  const [change] = diffPositions([position('0xA', 'A', '1000000', 6)], [position('0xA', 'A', '1000000000000000000', 18)]);
+  assert.equal(change.decimals, 18);
+  assert.equal(change.status, 'unchanged');
+  assert.equal(change.delta, '0');
+});
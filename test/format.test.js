@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatResult, positionsView, seriesView, tokensView, reconcileView } from '../core/format.js';
+
+const result = {
+  pmmAddress: '0xpmm',
+  chainId: 56,
+  chainName: 'BSC',
+  blockNumber: 100,
+  blockTimestamp: 0,
+  positions: [
+    { tokenSymbol: 'USDC', tokenAddress: '0xa', lpTokenAddress: '0xb', decimals: 6, position: '-1500000', positionFormatted: '-1.5' },
+    { tokenSymbol: 'A|B', tokenAddress: '0xc', lpTokenAddress: '0xd', decimals: 18, position: '2', positionFormatted: '0.000000000000000002' }
+  ]
+};
+
+test('table aligns columns under the caption', () => {
+  assert.equal(formatResult(result, positionsView(result), 'table'), [
+    '0xpmm on BSC at block 100 (1970-01-01T00:00:00.000Z)',
+    '',
+    'Symbol              Position  Token  LP Token',
+    '------  --------------------  -----  --------',
+    'USDC                    -1.5  0xa    0xb',
+    'A|B     0.000000000000000002  0xc    0xd'
+  ].join('\n'));
+});
+
+test('markdown escapes pipes and right-aligns amounts', () => {
+  const lines = formatResult(result, positionsView(result), 'markdown').split('\n');
+  assert.equal(lines[1], '| --- | ---: | --- | --- |');
+  assert.equal(lines[3], '| A\\|B | 0.000000000000000002 | 0xc | 0xd |');
+});
+
+test('ndjson prints one object per row with the defined fields only', () => {
+  const rows = formatResult(result, positionsView(result), 'ndjson').split('\n').map(line => JSON.parse(line));
+  assert.equal(rows.length, 2);
+  assert.deepEqual(Object.keys(rows[0]), ['chainId', 'chainName', 'pmmAddress', 'blockNumber', 'tokenSymbol', 'tokenAddress',
+    'lpTokenAddress', 'decimals', 'position', 'positionFormatted']);
+});
+
+test('csv quotes separators and prefixes formulas, but leaves numbers alone', () => {
+  const view = { rows: [
+    { a: '=HYPERLINK("x")', b: '-1.5' },
+    { a: '+1 ,2', b: '@SUM' },
+    { a: '-', b: 'line\nbreak' },
+    { a: null, b: -3 }
+  ], fields: ['a', 'b'] };
+
+  assert.equal(formatResult({}, view, 'csv'), [
+    'a,b',
+    '"\'=HYPERLINK(""x"")",-1.5',
+    '"\'+1 ,2",\'@SUM',
+    '\'-,"line\nbreak"',
+    ',-3'
+  ].join('\n'));
+});
+
+test('json prints the whole result and unknown formats are rejected', () => {
+  assert.deepEqual(JSON.parse(formatResult(result, positionsView(result), 'json')), result);
+  assert.throws(() => formatResult(result, positionsView(result), 'xml'), /Invalid output format: xml/);
+});
+
+test('a portfolio ends with its net rows on chain all', () => {
+  const portfolio = {
+    pmmAddress: '0xpmm',
+    chains: [{ ...result, positions: [result.positions[0]] }, { ...result, chainId: 1, chainName: 'Ethereum', positions: [] }],
+    netByAsset: [{ asset: 'USDC', decimals: 6, netPosition: '-1500000', netPositionFormatted: '-1.5' }]
+  };
+  const view = positionsView(portfolio);
+
+  assert.deepEqual(view.rows.map(row => [row.chainName, row.tokenSymbol, row.positionFormatted]), [['BSC', 'USDC', '-1.5'], ['all', 'USDC', '-1.5']]);
+  assert.equal(view.columns[0][0], 'Chain');
+  assert.equal(view.caption.split('\n').length, 2);
+  assert.match(formatResult(portfolio, view, 'csv').split('\n')[2], /^,all,0xpmm,,USDC,,,,6,-1500000,-1.5,,$/);
+});
+
+test('series rows are one per block and token', () => {
+  const view = seriesView({
+    chainId: 56,
+    chainName: 'BSC',
+    pmmAddress: '0xpmm',
+    blocks: [{ blockNumber: 1, blockTimestamp: 0 }, { blockNumber: 2, blockTimestamp: 60 }],
+    series: [{ tokenSymbol: 'USDC', positions: ['1', '2'], positionsFormatted: ['0.000001', '0.000002'] }]
+  });
+  assert.deepEqual(view.rows.map(row => [row.blockNumber, row.blockTime, row.position]),
+    [[1, '1970-01-01T00:00:00.000Z', '1'], [2, '1970-01-01T00:01:00.000Z', '2']]);
+});
+
+test('optional columns appear only when a row has them', () => {
+  const tokens = { chainName: 'BSC', blockNumber: 1, blockTimestamp: 0, tokens: [{ index: 0, tokenSymbol: 'USDC' }] };
+  assert.equal(tokensView(tokens).columns.some(([label]) => label === 'Registered'), false);
+  tokens.tokens[0].registeredBlock = 5;
+  assert.equal(tokensView(tokens).columns.some(([label]) => label === 'Registered'), true);
+
+  assert.equal(positionsView(result).columns.some(([label]) => label === 'Value (USD)'), false);
+  const priced = { ...result, positions: [{ ...result.positions[0], valueUsd: '-1.5' }] };
+  assert.equal(positionsView(priced).columns.some(([label]) => label === 'Value (USD)'), true);
+
+  assert.equal(reconcileView({ entries: [] }).rows.length, 0);
+});
@@ -0,0 +1,172 @@
+import { ethers } from 'ethers';
+import { CHAINS } from '../../core/chains.js';
+import { PMMPositionFetcher } from '../../core/positionFetcher.js';
+
+const VAULT_IFACE = new ethers.Interface([
+  'function allLPTokens(uint256 index) view returns (address)',
+  'function positions(address trader, address token) view returns (int256)'
+]);
+const TOKEN_IFACE = new ethers.Interface([
+  'function underlying() view returns (address)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+]);
+const MULTICALL_IFACE = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getBlockNumber() view returns (uint256 blockNumber)'
+]);
+
+export const CHAIN_ID = 56;
+export const PMM = '0x26a5652812905cc994009902c4b4dff950f96775';
+
+/**
+ * Deterministic address for test tokens
+ */
+export function address(n) {
+  return ethers.getAddress('0x' + n.toString(16).padStart(40, '0'));
+}
+
+/**
+ * In-memory BSC with a CreditVault, its LP tokens and Multicall3, answering
+ * eth_call and getBlock like an RPC would.
+ *
+ * Token i has LP token address(0x1000 + i) and underlying address(0x2000 + i),
+ * 18, 6 or 8 decimals and symbol TK<i>. `registeredAt[i]` is the block token i
+ * was added to allLPTokens at (default 0), and the CreditVault has code from
+ * block `deployedAt`. `positions[pmm][underlying]` is a
+ * BigInt or a function of the block number. `stats.calls` counts eth_calls.
+ */
+export class MockProvider extends ethers.AbstractProvider {
+  constructor({ head = 1000, tokens = 5, registeredAt = {}, deployedAt = 0, positions = {}, blockTime = 3, genesisTimestamp = 1700000000 } = {}) {
+    // No request cache, so tests can move the head between reads
+    super(CHAIN_ID, { staticNetwork: true, cacheTimeout: -1 });
+    this.head = head;
+    this.deployedAt = deployedAt;
+    this.blockTime = blockTime;
+    this.genesisTimestamp = genesisTimestamp;
+    this.registeredAt = registeredAt;
+    this.positions = Object.fromEntries(Object.entries(positions).map(([pmm, tokens]) => [pmm.toLowerCase(), tokens]));
+    this.stats = { calls: 0 };
+    this.vault = ethers.getAddress(CHAINS[CHAIN_ID].creditVaultAddress);
+    this.multicall = ethers.getAddress(CHAINS[CHAIN_ID].multicall3Address);
+    this.tokens = Array.from({ length: tokens }, (_, i) => ({
+      lpTokenAddress: address(0x1000 + i),
+      underlyingAddress: address(0x2000 + i),
+      decimals: [18, 6, 8][i % 3],
+      symbol: `TK${i}`
+    }));
+  }
+
+  timestampOf(blockNumber) {
+    return this.genesisTimestamp + blockNumber * this.blockTime;
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(CHAIN_ID);
+  }
+
+  async _perform(request) {
+    switch (request.method) {
+      case 'chainId':
+        return CHAIN_ID;
+      case 'getBlockNumber':
+        return this.head;
+      case 'call':
+        this.stats.calls++;
+        return this.execute(request.transaction.to, request.transaction.data, this.blockNumberOf(request.blockTag));
+      case 'getCode':
+        return ethers.getAddress(request.address) === this.vault && this.blockNumberOf(request.blockTag) >= this.deployedAt ? '0x00' : '0x';
+      case 'getBlock': {
+        const number = this.blockNumberOf(request.blockTag);
+        if (number > this.head) return null;
+        return {
+          number,
+          hash: ethers.zeroPadValue(ethers.toBeHex(number + 1), 32),
+          parentHash: ethers.ZeroHash,
+          timestamp: this.timestampOf(number),
+          nonce: '0x0000000000000000',
+          difficulty: 0,
+          gasLimit: 0,
+          gasUsed: 0,
+          miner: ethers.ZeroAddress,
+          extraData: '0x',
+          baseFeePerGas: 0,
+          transactions: []
+        };
+      }
+    }
+    throw new Error(`Unsupported method ${request.method}`);
+  }
+
+  blockNumberOf(tag) {
+    if (tag === undefined || tag === null || tag === 'latest' || tag === 'pending') return this.head;
+    if (tag === 'safe') return this.head - 5;
+    if (tag === 'finalized') return this.head - 10;
+    if (tag === 'earliest') return 0;
+    return Number(tag);
+  }
+
+  execute(to, data, blockNumber) {
+    to = ethers.getAddress(to);
+
+    if (to === this.multicall) {
+      const fragment = MULTICALL_IFACE.getFunction(data.slice(0, 10));
+      if (fragment.name === 'getBlockNumber') {
+        return MULTICALL_IFACE.encodeFunctionResult(fragment, [blockNumber]);
+      }
+      const [calls] = MULTICALL_IFACE.decodeFunctionData(fragment, data);
+      return MULTICALL_IFACE.encodeFunctionResult(fragment, [calls.map(({ target, allowFailure, callData }) => {
+        try {
+          return [true, this.execute(target, callData, blockNumber)];
+        } catch (error) {
+          if (!allowFailure) throw error;
+          return [false, '0x'];
+        }
+      })]);
+    }
+
+    if (to === this.vault) {
+      const fragment = VAULT_IFACE.getFunction(data.slice(0, 10));
+      const args = VAULT_IFACE.decodeFunctionData(fragment, data);
+      if (fragment.name === 'allLPTokens') {
+        const registered = this.tokens.filter((_, i) => (this.registeredAt[i] ?? 0) <= blockNumber);
+        const token = registered[Number(args[0])];
+        if (!token) throw new Error('execution reverted');
+        return VAULT_IFACE.encodeFunctionResult(fragment, [token.lpTokenAddress]);
+      }
+      const position = this.positions[args[0].toLowerCase()]?.[ethers.getAddress(args[1])] ?? 0n;
+      return VAULT_IFACE.encodeFunctionResult(fragment, [typeof position === 'function' ? position(blockNumber) : position]);
+    }
+
+    const token = this.tokens.find(({ lpTokenAddress, underlyingAddress }) => to === lpTokenAddress || to === underlyingAddress);
+    if (token) {
+      const isLPToken = to === token.lpTokenAddress;
+      const fragment = TOKEN_IFACE.getFunction(data.slice(0, 10));
+      switch (fragment.name) {
+        case 'underlying':
+          if (!isLPToken) break;
+          return TOKEN_IFACE.encodeFunctionResult(fragment, [token.underlyingAddress]);
+        case 'decimals':
+          return TOKEN_IFACE.encodeFunctionResult(fragment, [token.decimals]);
+        case 'symbol':
+          return TOKEN_IFACE.encodeFunctionResult(fragment, [isLPToken ? `n${token.symbol}` : token.symbol]);
+        case 'name':
+          return TOKEN_IFACE.encodeFunctionResult(fragment, [`${isLPToken ? 'Native LP ' : ''}${token.symbol} Token`]);
+      }
+    }
+
+    throw new Error('execution reverted');
+  }
+}
+
+/**
+ * A fetcher reading from a MockProvider, with its logging silenced
+ */
+export function createMockFetcher(provider, options = {}) {
+  return new PMMPositionFetcher({
+    createProvider: () => provider,
+    logger: { log() {}, warn() {}, error() {} },
+    ...options
+  });
+}
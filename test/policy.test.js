@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RiskPolicy } from '../core/policy.js';
+import { compareUnits } from '../core/math.js';
+
+const USDC = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
+
+function result({ netPosition = '0', grossExposureUsd = null, unpricedPositions = 0, positions = [], complete = true } = {}) {
+  return {
+    complete,
+    errors: complete ? [] : [{ stage: 'position' }],
+    positions,
+    risk: { byAsset: [{ asset: 'USDC', decimals: 6, netPosition }], grossExposureUsd, unpricedPositions }
+  };
+}
+
+test('maxShort breaches only past the limit', () => {
+  const policy = new RiskPolicy({ maxShort: { USDC: '1000' } });
+  assert.equal(policy.check(result({ netPosition: '-1000000000' })).passed, true);
+
+  const { passed, breaches } = policy.check(result({ netPosition: '-1000000001' }));
+  assert.equal(passed, false);
+  assert.deepEqual(breaches.map(({ rule, asset, actual }) => ({ rule, asset, actual })), [{ rule: 'maxShort', asset: 'USDC', actual: '1000.000001' }]);
+});
+
+test('maxShort limits finer than the token are compared, not rejected', () => {
+  const policy = new RiskPolicy({ maxShort: { USDC: '1.1234567' } });
+  assert.equal(policy.check(result({ netPosition: '-1123456' })).passed, true);
+  assert.equal(policy.check(result({ netPosition: '-1123457' })).passed, false);
+});
+
+test('maxGrossNotionalUsd breaches on priced exposure and on unpriced positions', () => {
+  const policy = new RiskPolicy({ maxGrossNotionalUsd: '5000000' });
+  assert.equal(policy.check(result({ grossExposureUsd: '5000000.0' })).passed, true);
+  assert.equal(policy.check(result({ grossExposureUsd: '5000000.000000000000000001' })).breaches[0].rule, 'maxGrossNotionalUsd');
+  assert.match(policy.check(result({ grossExposureUsd: '10.0', unpricedPositions: 2 })).breaches[0].message, /2 position\(s\) have no price/);
+});
+
+test('forbiddenTokens matches assets, symbols and addresses', () => {
+  const held = { tokenAddress: USDC, tokenSymbol: 'USDC', canonicalAsset: 'USDC', positionFormatted: '1.0' };
+  for (const forbidden of ['USDC', USDC.toLowerCase(), USDC]) {
+    const { breaches } = new RiskPolicy({ forbiddenTokens: [forbidden] }).check(result({ positions: [held] }));
+    assert.equal(breaches[0]?.rule, 'forbiddenTokens', forbidden);
+  }
+  assert.equal(new RiskPolicy({ forbiddenTokens: ['ETH'] }).check(result({ positions: [held] })).passed, true);
+});
+
+test('an incomplete result is a breach', () => {
+  const { passed, breaches } = new RiskPolicy().check(result({ complete: false }));
+  assert.equal(passed, false);
+  assert.equal(breaches[0].rule, 'complete');
+});
+
+test('invalid policies are rejected', () => {
+  assert.throws(() => new RiskPolicy({ maxLong: {} }), /Unknown field\(s\) maxLong/);
+  assert.throws(() => new RiskPolicy({ maxShort: { USDC: '-5' } }), /maxShort for USDC must be a non-negative amount/);
+  assert.throws(() => new RiskPolicy({ maxGrossNotionalUsd: 'lots' }), /maxGrossNotionalUsd must be a non-negative amount/);
+  assert.throws(() => new RiskPolicy({ forbiddenTokens: 'USDC' }), /forbiddenTokens must be a list/);
+});
+
+test('compareUnits compares at the finer of the two precisions', () => {
+  assert.equal(compareUnits(1123457n, 6, '1.1234567'), 1);
+  assert.equal(compareUnits(1123456n, 6, '1.1234567'), -1);
+  assert.equal(compareUnits(1500000n, 6, '1.5'), 0);
+  assert.equal(compareUnits(-2n, 0, '-1.5'), -1);
+  assert.equal(compareUnits(10n ** 18n, 18, 1), 0);
+});
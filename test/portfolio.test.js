@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { netPositionsByAsset, netPositionsByCanonicalAsset } from '../core/portfolio.js';
+
+const legs = [
+  { chainId: 56, chainName: 'BSC', tokenAddress: '0xa', tokenSymbol: 'USDC', canonicalAsset: 'USDC', decimals: 18, position: '-2500000000000000000', positionFormatted: '-2.5' },
+  { chainId: 1, chainName: 'Ethereum', tokenAddress: '0xb', tokenSymbol: 'USDC', canonicalAsset: 'USDC', decimals: 6, position: '1000001', positionFormatted: '1.000001' },
+  { chainId: 1, chainName: 'Ethereum', tokenAddress: '0xc', tokenSymbol: 'WETH', canonicalAsset: 'ETH', decimals: 18, position: '1', positionFormatted: '0.000000000000000001' },
+  { chainId: 56, chainName: 'BSC', tokenAddress: '0xd', tokenSymbol: 'eth', decimals: 18, position: '2', positionFormatted: '0.000000000000000002' }
+];
+
+test('positions net across chains at the largest decimals', () => {
+  const [usdc] = netPositionsByCanonicalAsset(legs);
+  assert.equal(usdc.asset, 'USDC');
+  assert.equal(usdc.decimals, 18);
+  assert.equal(usdc.netPosition, '-1499999000000000000');
+  assert.equal(usdc.netPositionFormatted, '-1.499999');
+  assert.deepEqual(usdc.legs.map(leg => [leg.chainName, leg.positionFormatted]), [['BSC', '-2.5'], ['Ethereum', '1.000001']]);
+});
+
+test('canonical assets group different symbols, and unregistered tokens fall back to their symbol', () => {
+  assert.deepEqual(netPositionsByCanonicalAsset(legs).map(({ asset, netPosition }) => [asset, netPosition]),
+    [['USDC', '-1499999000000000000'], ['ETH', '3']]);
+  assert.deepEqual(netPositionsByAsset(legs).map(({ asset, netPosition }) => [asset, netPosition]),
+    [['USDC', '-1499999000000000000'], ['WETH', '1'], ['ETH', '2']]);
+});
@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider, createMockFetcher, CHAIN_ID, PMM, address } from './helpers/mockProvider.js';
+
+test('getLPTokenCount finds the allLPTokens length', async () => {
+  for (const tokens of [0, 1, 2, 5, 37, 64, 300]) {
+    const fetcher = createMockFetcher(new MockProvider({ tokens }));
+    assert.equal(await fetcher.getLPTokenCount(CHAIN_ID), tokens, `${tokens} tokens`);
+  }
+});
+
+test('getLPTokenCount batches its probes into a few multicalls', async () => {
+  const provider = new MockProvider({ tokens: 300 });
+  await createMockFetcher(provider).getLPTokenCount(CHAIN_ID);
+  assert.ok(provider.stats.calls <= 4, `${provider.stats.calls} calls`);
+});
+
+test('getAllLPTokens returns the LP tokens in registry order', async () => {
+  const provider = new MockProvider({ tokens: 37 });
+  const lpTokens = await createMockFetcher(provider).getAllLPTokens(CHAIN_ID);
+  assert.deepEqual(lpTokens, provider.tokens.map(token => token.lpTokenAddress));
+});
+
+test('getAllLPTokens reads the registry at the queried block', async () => {
+  const provider = new MockProvider({ tokens: 4, registeredAt: { 2: 500, 3: 800 } });
+  const fetcher = createMockFetcher(provider);
+  assert.equal((await fetcher.getAllLPTokens(CHAIN_ID, 499)).length, 2);
+  assert.equal((await fetcher.getAllLPTokens(CHAIN_ID, 500)).length, 3);
+  assert.equal((await fetcher.getAllLPTokens(CHAIN_ID, 1000)).length, 4);
+});
+
+test('listPmmPositions reports non-zero positions with underlying metadata', async () => {
+  const provider = new MockProvider({
+    tokens: 6,
+    positions: { [PMM]: { [address(0x2001)]: -5000000n, [address(0x2003)]: 7n * 10n ** 18n } }
+  });
+  const result = await createMockFetcher(provider).listPmmPositions(PMM, CHAIN_ID);
+
+  assert.equal(result.blockNumber, 1000);
+  assert.equal(result.complete, true);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.positions.map(({ tokenSymbol, lpTokenAddress, position, positionFormatted, decimals }) =>
+    ({ tokenSymbol, lpTokenAddress, position, positionFormatted, decimals })), [
+    { tokenSymbol: 'TK1', lpTokenAddress: address(0x1001), position: '-5000000', positionFormatted: '-5.0', decimals: 6 },
+    { tokenSymbol: 'TK3', lpTokenAddress: address(0x1003), position: '7000000000000000000', positionFormatted: '7.0', decimals: 18 }
+  ]);
+  assert.equal(result.summary.totalTokens, 6);
+});
+
+test('findBlockByTimestamp finds the last block at or before a time', async () => {
+  const provider = new MockProvider({ head: 1000, blockTime: 3 });
+  const fetcher = createMockFetcher(provider);
+  assert.equal(await fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(0)), 0);
+  assert.equal(await fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(417)), 417);
+  assert.equal(await fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(417) + 2), 417);
+  assert.equal(await fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(1000)), 1000);
+});
+
+test('findBlockByTimestamp handles irregular block times', async () => {
+  const provider = new MockProvider({ head: 5000 });
+  provider.timestampOf = blockNumber => 1700000000 + Math.floor(blockNumber ** 1.5);
+  const fetcher = createMockFetcher(provider);
+  for (const blockNumber of [1, 10, 999, 2500, 4999]) {
+    assert.equal(await fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(blockNumber)), blockNumber);
+    assert.equal(await fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(blockNumber + 1) - 1), blockNumber);
+  }
+});
+
+test('findBlockByTimestamp rejects times outside the chain', async () => {
+  const provider = new MockProvider({ head: 1000 });
+  const fetcher = createMockFetcher(provider);
+  await assert.rejects(fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(1000) + 1), { name: 'InputError', message: /after the latest block/ });
+  await assert.rejects(fetcher.findBlockByTimestamp(CHAIN_ID, provider.timestampOf(0) - 1), { name: 'InputError', message: /before the first block/ });
+});
+
+test('resolveBlock resolves a time target and reports the requested time', async () => {
+  const provider = new MockProvider({ head: 1000, blockTime: 3 });
+  const block = await createMockFetcher(provider).resolveBlock(CHAIN_ID, `@${provider.timestampOf(300) + 1}`);
+  assert.equal(block.blockNumber, 300);
+  assert.equal(block.blockTimestamp, provider.timestampOf(300));
+  assert.equal(block.requestedTimestamp, provider.timestampOf(300) + 1);
+  assert.equal(block.requestedTime, new Date((provider.timestampOf(300) + 1) * 1000).toISOString());
+});
+
+test('diffPmmPositions compares the positions at two blocks', async () => {
+  const provider = new MockProvider({
+    positions: { [PMM]: { [address(0x2001)]: blockNumber => (blockNumber < 500 ? 1000000n : 3000000n), [address(0x2002)]: blockNumber => (blockNumber < 500 ? 0n : -5n) } }
+  });
+  const result = await createMockFetcher(provider).diffPmmPositions(PMM, CHAIN_ID, 400, 600);
+
+  assert.equal(result.from.blockNumber, 400);
+  assert.equal(result.to.blockNumber, 600);
+  assert.deepEqual(result.changes.map(({ tokenSymbol, status, delta }) => ({ tokenSymbol, status, delta })), [
+    { tokenSymbol: 'TK1', status: 'changed', delta: '2000000' },
+    { tokenSymbol: 'TK2', status: 'appeared', delta: '-5' }
+  ]);
+});
+
+test('listPmmPositionSeries samples every N blocks, both ends included', async () => {
+  const provider = new MockProvider({ positions: { [PMM]: { [address(0x2000)]: blockNumber => BigInt(blockNumber) } } });
+  const result = await createMockFetcher(provider).listPmmPositionSeries(PMM, CHAIN_ID, 100, 350, { everyBlocks: 100 });
+
+  assert.deepEqual(result.blocks.map(block => block.blockNumber), [100, 200, 300, 350]);
+  assert.deepEqual(result.series.map(({ tokenSymbol, positions }) => ({ tokenSymbol, positions })), [
+    { tokenSymbol: 'TK0', positions: ['100', '200', '300', '350'] }
+  ]);
+  assert.equal(result.complete, true);
+});
+
+test('listPmmPositionSeries samples the last block before every N-minute mark', async () => {
+  const provider = new MockProvider({ blockTime: 7 });
+  const from = provider.timestampOf(0);
+  const result = await createMockFetcher(provider).listPmmPositionSeries(PMM, CHAIN_ID, `@${from}`, `@${from + 1800}`, { everyMinutes: 10 });
+
+  assert.deepEqual(result.blocks.map(block => block.blockNumber), [0, 85, 171, 257]);
+  assert.deepEqual(result.interval, { minutes: 10 });
+});
+
+test('listPmmPositionSeries resumes from saved samples without refetching them', async () => {
+  const provider = new MockProvider({ positions: { [PMM]: { [address(0x2000)]: blockNumber => BigInt(blockNumber) } } });
+  const fetcher = createMockFetcher(provider);
+  const saved = [];
+  const first = await fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 1000, { everyBlocks: 100, onSample: sample => saved.push(sample) });
+
+  assert.equal(saved.length, 11);
+  assert.equal(saved[0].pmmAddress, PMM);
+  assert.equal(saved[0].chainId, CHAIN_ID);
+
+  const resumed = await fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 1000, {
+    everyBlocks: 100,
+    resumeSamples: JSON.parse(JSON.stringify(saved.slice(0, 8)))
+  });
+  assert.equal(resumed.summary.samplesResumed, 8);
+  assert.equal(resumed.summary.samplesFetched, 3);
+  assert.deepEqual(resumed.series, first.series);
+});
+
+test('listPmmPositionSeries rejects resume samples of another PMM or chain', async () => {
+  const fetcher = createMockFetcher(new MockProvider());
+  const sample = { chainId: CHAIN_ID, pmmAddress: PMM, blockNumber: 100, blockTimestamp: 0, positions: {} };
+  const resume = resumeSamples => fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 200, { everyBlocks: 100, resumeSamples });
+
+  await assert.rejects(resume([{ ...sample, pmmAddress: address(1) }]), /is for PMM/);
+  await assert.rejects(resume([{ ...sample, chainId: 1 }]), /is for PMM/);
+  await assert.rejects(resume([{ blockNumber: 100, positions: {} }]), /does not record its PMM and chain/);
+});
+
+test('listPmmPositionSeries ignores resume samples outside a plan whose end moved', async () => {
+  const saved = [];
+  await createMockFetcher(new MockProvider({ head: 990 }))
+    .listPmmPositionSeries(PMM, CHAIN_ID, 0, 'latest', { everyBlocks: 100, onSample: sample => saved.push(sample) });
+  assert.equal(saved.at(-1).blockNumber, 990);
+
+  const result = await createMockFetcher(new MockProvider({ head: 1010 }))
+    .listPmmPositionSeries(PMM, CHAIN_ID, 0, 'latest', { everyBlocks: 100, resumeSamples: saved });
+  assert.deepEqual(result.blocks.map(block => block.blockNumber).slice(-3), [900, 1000, 1010]);
+  assert.equal(result.summary.samplesResumed, 10);
+  assert.equal(result.summary.samplesFetched, 2);
+});
+
+test('listPmmPositionSeries rejects invalid intervals and ranges as input errors', async () => {
+  const fetcher = createMockFetcher(new MockProvider());
+  await assert.rejects(fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 1000, {}), { name: 'InputError' });
+  await assert.rejects(fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 1000, { everyBlocks: NaN }), { name: 'InputError' });
+  await assert.rejects(fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 1000, { everyBlocks: 1.5 }), { name: 'InputError' });
+  await assert.rejects(fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 0, 1000, { everyBlocks: 1 }), { name: 'InputError', message: /samples \(max/ });
+  await assert.rejects(fetcher.listPmmPositionSeries(PMM, CHAIN_ID, 900, 100, { everyBlocks: 10 }), { name: 'InputError', message: /is after to block/ });
+});
+
+test('listLPTokens finds the block each LP token was registered at', async () => {
+  const registeredAt = { 0: 100, 1: 100, 2: 357, 3: 358, 4: 999, 5: 1000 };
+  const provider = new MockProvider({ tokens: 6, registeredAt, deployedAt: 100 });
+  const { tokens } = await createMockFetcher(provider).listLPTokens(CHAIN_ID, 1000, { registeredBlocks: true });
+
+  assert.deepEqual(tokens.map(token => token.registeredBlock), Object.values(registeredAt));
+});
+
+test('findRegistrationBlocks probes at most `concurrency` ranges at once', async () => {
+  const provider = new MockProvider({ tokens: 16, registeredAt: Object.fromEntries([...Array(16).keys()].map(i => [i, 100 + i * 50])), deployedAt: 100 });
+  const fetcher = createMockFetcher(provider);
+  const probeLPTokens = fetcher.probeLPTokens.bind(fetcher);
+  let active = 0;
+  let peak = 0;
+  fetcher.probeLPTokens = async (...args) => {
+    peak = Math.max(peak, ++active);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    try {
+      return await probeLPTokens(...args);
+    } finally {
+      active--;
+    }
+  };
+
+  const registered = await fetcher.findRegistrationBlocks(CHAIN_ID, 16, 1000, 2);
+  assert.deepEqual([...registered.keys()].sort((a, b) => a - b).map(index => registered.get(index)), [...Array(16).keys()].map(i => 100 + i * 50));
+  assert.equal(peak, 2);
+});
+
+test('findRegistrationBlocks needs the CreditVault deployed at the block', async () => {
+  const fetcher = createMockFetcher(new MockProvider({ deployedAt: 600 }));
+  await assert.rejects(fetcher.findRegistrationBlocks(CHAIN_ID, 1, 500), /No contract at .* on chain 56 at block 500/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StaticPriceProvider, applyPrices, sumUsd } from '../core/pricing.js';
+
+const TOKEN = '0x55d398326f99059fF775485246999027B3197955';
+
+test('StaticPriceProvider prices tokens by address, else by canonical asset', async () => {
+  const provider = new StaticPriceProvider({ ETH: '3500.25', [TOKEN]: 1 });
+  const prices = await provider.getPrices({
+    tokens: [
+      { tokenAddress: TOKEN.toLowerCase(), canonicalAsset: 'USDT' },
+      { tokenAddress: '0x2170Ed0880ac9A755fd29B2688956BD959F933F8', canonicalAsset: 'ETH' },
+      { tokenAddress: '0x0000000000000000000000000000000000000001', canonicalAsset: null }
+    ]
+  });
+
+  assert.deepEqual([...prices.entries()], [
+    [TOKEN.toLowerCase(), { price: '1', source: 'static' }],
+    ['0x2170ed0880ac9a755fd29b2688956bd959f933f8', { price: '3500.25', source: 'static' }]
+  ]);
+});
+
+test('StaticPriceProvider rejects prices it cannot apply', () => {
+  for (const price of ['-1', 'abc', '1.', '1e3', `0.${'1'.repeat(19)}`]) {
+    assert.throws(() => new StaticPriceProvider({ ETH: price }), /Invalid price for ETH/, price);
+  }
+  assert.doesNotThrow(() => new StaticPriceProvider({ ETH: `0.${'1'.repeat(18)}` }));
+});
+
+test('applyPrices values positions and counts unpriced ones', () => {
+  const positions = [
+    { tokenAddress: '0xA', position: '-2500000', decimals: 6 },
+    { tokenAddress: '0xB', position: '1500000000000000000', decimals: 18 },
+    { tokenAddress: '0xC', position: '1', decimals: 0 }
+  ];
+  const prices = new Map([['0xa', { price: '1', source: 'static' }], ['0xb', { price: '2000.5', source: 'chainlink', stale: true }]]);
+  const { positions: valued, valuation } = applyPrices(positions, prices);
+
+  assert.deepEqual(valued.map(({ valueUsd, priceSource, priceStale }) => ({ valueUsd, priceSource, priceStale })), [
+    { valueUsd: '-2.5', priceSource: 'static', priceStale: undefined },
+    { valueUsd: '3000.75', priceSource: 'chainlink', priceStale: true },
+    { valueUsd: null, priceSource: null, priceStale: undefined }
+  ]);
+  assert.deepEqual(valuation, { totalValueUsd: '2998.25', pricedPositions: 2, unpricedPositions: 1 });
+});
+
+test('sumUsd adds USD strings without floating point error', () => {
+  assert.equal(sumUsd(['0.1', '0.2', '-0.05']), '0.25');
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExpectedPositions, parseExpectedCsv, parseTolerance } from '../core/reconcile.js';
+
+const USDC = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
+
+function position(tokenSymbol, amount, decimals = 6, extra = {}) {
+  return { tokenAddress: extra.tokenAddress ?? USDC, tokenSymbol, decimals, position: amount, positionFormatted: amount, ...extra };
+}
+
+function chainResult(positions, errors = []) {
+  return { pmmAddress: '0xpmm', chainId: 56, chainName: 'BSC', blockNumber: 100, blockTimestamp: 1000, positions, errors };
+}
+
+test('parseTolerance reads amounts and whole basis points', () => {
+  assert.deepEqual(parseTolerance('0.01'), { text: '0.01', absolute: '0.01' });
+  assert.deepEqual(parseTolerance(' 5 BPS '), { text: '5bps', bps: 5 });
+  assert.throws(() => parseTolerance('1.5bps'), /must be whole/);
+  assert.throws(() => parseTolerance('-1'), /Invalid tolerance/);
+});
+
+test('absolute tolerances compare in token units', () => {
+  const expected = new ExpectedPositions([{ chainId: 56, token: 'USDC', position: '-100', tolerance: '0.5' }]);
+  assert.equal(expected.reconcile(chainResult([position('USDC', '-100500000')])).entries[0].status, 'match');
+
+  const { reconciled, breaks } = expected.reconcile(chainResult([position('USDC', '-100500001')]));
+  assert.equal(reconciled, false);
+  assert.equal(breaks[0].status, 'break');
+  assert.equal(breaks[0].differenceFormatted, '-0.500001');
+});
+
+test('basis point tolerances are relative to the expected position', () => {
+  const expected = new ExpectedPositions({ tolerance: '5bps', positions: [{ chainId: 56, token: 'USDC', position: '1000' }] });
+  const within = expected.reconcile(chainResult([position('USDC', '1000500000')])).entries[0];
+  assert.equal(within.status, 'match');
+  assert.equal(within.differenceBps, 5);
+  assert.equal(expected.reconcile(chainResult([position('USDC', '1000500001')])).entries[0].status, 'break');
+});
+
+test('an entry tolerance wins over the reconcile and file tolerances', () => {
+  const expected = new ExpectedPositions({
+    tolerance: '1',
+    positions: [{ chainId: 56, token: 'USDC', position: '10', tolerance: '0' }, { chainId: 56, token: 'BUSD', position: '10' }]
+  });
+  const result = chainResult([position('USDC', '10000001'), position('BUSD', '10000001', 6, { tokenAddress: '0x1' })]);
+
+  assert.deepEqual(expected.reconcile(result).entries.map(entry => [entry.token, entry.status]), [['USDC', 'break'], ['BUSD', 'match']]);
+  assert.deepEqual(expected.reconcile(result, { tolerance: '0' }).entries.map(entry => entry.status), ['break', 'break']);
+});
+
+test('symbols matching several tokens are summed at the largest decimals', () => {
+  const expected = new ExpectedPositions([{ chainId: 56, token: 'USDC', position: '3' }]);
+  const entry = expected.reconcile(chainResult([
+    position('USDC', '1000000', 6),
+    position('USDC', '2000000000000000000', 18, { tokenAddress: '0x2' })
+  ])).entries[0];
+
+  assert.equal(entry.status, 'match');
+  assert.equal(entry.decimals, 18);
+  assert.equal(entry.tokenAddress, null);
+});
+
+test('every status is reported and counted', () => {
+  const expected = new ExpectedPositions([
+    { chainId: 56, token: 'USDC', position: '1' },
+    { chainId: 56, token: 'BUSD', position: '5' },
+    { chainId: 56, token: 'ZERO', position: '0.0' },
+    { chainId: 56, token: 'FAIL', position: '1' },
+    { chainId: 1, token: 'WETH', position: '1' }
+  ]);
+  const result = chainResult(
+    [position('USDC', '1000000'), position('CAKE', '7', 18, { tokenAddress: '0x3' })],
+    [{ tokenSymbol: 'FAIL', stage: 'position', reason: 'reverted' }]
+  );
+
+  const { entries, summary } = expected.reconcile(result);
+  assert.deepEqual(entries.map(entry => [entry.token, entry.status]), [
+    ['USDC', 'match'],
+    ['BUSD', 'missingOnChain'],
+    ['ZERO', 'match'],
+    ['FAIL', 'unverifiable'],
+    ['WETH', 'unverifiable'],
+    ['CAKE', 'missingExpected']
+  ]);
+  assert.equal(entries[3].reason, 'FAIL: position: reverted');
+  assert.equal(entries[4].reason, 'chain not fetched');
+  assert.deepEqual(summary, { expectedPositions: 5, match: 2, break: 0, missingOnChain: 1, missingExpected: 1, unverifiable: 2 });
+});
+
+test('expected positions finer than the token are rejected', () => {
+  const expected = new ExpectedPositions([{ chainId: 56, token: 'USDC', position: '1.0000001' }]);
+  assert.throws(() => expected.reconcile(chainResult([position('USDC', '1000000')])), /more than the token's 6 decimals/);
+});
+
+test('invalid expected positions are rejected', () => {
+  assert.throws(() => new ExpectedPositions({ positions: [], extra: 1 }), /Unknown field\(s\) extra/);
+  assert.throws(() => new ExpectedPositions([{ chainId: 0, token: 'USDC', position: '1' }]), /chainId must be a chain ID/);
+  assert.throws(() => new ExpectedPositions([{ chainId: 56, token: 'USDC', position: '1e3' }]), /position must be an amount/);
+  assert.throws(() => new ExpectedPositions([
+    { chainId: 56, token: USDC, position: '1' },
+    { chainId: 56, token: USDC.toLowerCase(), position: '2' }
+  ]), /Duplicate expected position 2/);
+});
+
+test('parseExpectedCsv reads rows, skipping blanks and comments', () => {
+  const csv = '# ledger export\r\nchainId,token,position,tolerance\r\n56,"USDC",-250000.5,\r\n\r\n1,WETH,12.5,5bps\r\n';
+  assert.deepEqual(parseExpectedCsv(csv), [
+    { chainId: '56', token: 'USDC', position: '-250000.5' },
+    { chainId: '1', token: 'WETH', position: '12.5', tolerance: '5bps' }
+  ]);
+  assert.deepEqual(parseExpectedCsv('\n'), []);
+  assert.throws(() => parseExpectedCsv('chainId,symbol\n56,USDC'), /Missing column\(s\) token, position/);
+  assert.throws(() => parseExpectedCsv('chainId,token,position\n56,USDC'), /Expected 3 columns on line 2/);
+});
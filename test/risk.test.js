@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRisk } from '../core/risk.js';
+
+const position = (tokenSymbol, position, decimals, valueUsd = null, canonicalAsset = null) =>
+  ({ tokenAddress: `0x${tokenSymbol}`, tokenSymbol, canonicalAsset, position, positionFormatted: position, decimals, valueUsd });
+
+test('computeRisk sums USD exposure over priced positions', () => {
+  const risk = computeRisk([
+    position('ETH', '2000000000000000000', 18, '7000'),
+    position('USDC', '-3000000000', 6, '-3000'),
+    position('BTC', '-10000000', 8, '-6000'),
+    position('XYZ', '5', 0)
+  ]);
+
+  assert.equal(risk.longPositions, 2);
+  assert.equal(risk.shortPositions, 2);
+  assert.equal(risk.pricedPositions, 3);
+  assert.equal(risk.unpricedPositions, 1);
+  assert.equal(risk.grossLongUsd, '7000.0');
+  assert.equal(risk.grossShortUsd, '9000.0');
+  assert.equal(risk.grossExposureUsd, '16000.0');
+  assert.equal(risk.netExposureUsd, '-2000.0');
+  assert.equal(risk.largestShort.tokenSymbol, 'BTC');
+  assert.equal(risk.concentration.tokenSymbol, 'ETH');
+  assert.equal(risk.concentration.shareOfGross, 0.4375);
+  // (7000² + 3000² + 6000²) / 16000² = 0.36718..., truncated
+  assert.equal(risk.concentration.herfindahlIndex, 0.3671);
+});
+
+test('computeRisk leaves USD figures null when nothing is priced', () => {
+  const risk = computeRisk([position('ETH', '1', 18)]);
+  assert.equal(risk.grossExposureUsd, null);
+  assert.equal(risk.netExposureUsd, null);
+  assert.equal(risk.largestShort, null);
+  assert.equal(risk.concentration, null);
+});
+
+test('computeRisk nets token amounts per asset across decimals', () => {
+  const risk = computeRisk([
+    position('USDC', '5000000', 6, null, 'USDC'),
+    position('USDC.e', '-7000000000000000000', 18, null, 'USDC'),
+    position('eth', '1', 18)
+  ]);
+
+  assert.deepEqual(risk.byAsset, [
+    {
+      asset: 'USDC',
+      decimals: 18,
+      grossLong: '5000000000000000000',
+      grossLongFormatted: '5.0',
+      grossShort: '7000000000000000000',
+      grossShortFormatted: '7.0',
+      netPosition: '-2000000000000000000',
+      netPositionFormatted: '-2.0'
+    },
+    {
+      asset: 'ETH',
+      decimals: 18,
+      grossLong: '1',
+      grossLongFormatted: '0.000000000000000001',
+      grossShort: '0',
+      grossShortFormatted: '0.0',
+      netPosition: '1',
+      netPositionFormatted: '0.000000000000000001'
+    }
+  ]);
+});
@@ -0,0 +1,132 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SnapshotStore } from '../snapshotStore.js';
+
+const PMM = '0x26a5652812905cc994009902c4b4dff950f96775';
+const TOKEN = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
+const QUIET = { log() {}, warn() {}, error() {} };
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  file = path.join(dir, 'snapshots.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function result(blockNumber, position = '1000000', { chainId = 56, pmmAddress = PMM, complete = true } = {}) {
+  return {
+    chainId,
+    chainName: chainId === 56 ? 'BSC' : 'Ethereum',
+    pmmAddress,
+    blockNumber,
+    blockHash: `0x${blockNumber.toString(16)}`,
+    blockTimestamp: 1700000000 + blockNumber,
+    positions: [{ tokenAddress: TOKEN, tokenSymbol: 'USDC', decimals: 6, position }],
+    errors: complete ? [] : [{ tokenAddress: TOKEN, stage: 'position', reason: 'reverted' }],
+    complete
+  };
+}
+
+test('SNAPSHOT_FILE is unset by default, so the CLI records nothing', async () => {
+  delete process.env.SNAPSHOT_FILE;
+  const { DEFAULT_CONFIG } = await import('../config.js');
+  assert.equal(DEFAULT_CONFIG.SNAPSHOT_FILE, null);
+});
+
+test('record numbers snapshots and skips keys that already have a complete one', () => {
+  const store = new SnapshotStore(file, { logger: QUIET });
+  assert.equal(store.record(result(100)).id, 1);
+  assert.equal(store.record(result(100)), null);
+  assert.equal(store.record(result(100, '1', { chainId: 1 })).id, 2);
+  assert.equal(store.record(result(200, '1', { complete: false })).id, 3);
+  assert.equal(store.record(result(200)).id, 4);
+
+  assert.deepEqual(store.list().map(({ id, blockNumber, complete, positions }) => ({ id, blockNumber, complete, positions })), [
+    { id: 1, blockNumber: 100, complete: true, positions: 1 },
+    { id: 2, blockNumber: 100, complete: true, positions: 1 },
+    { id: 3, blockNumber: 200, complete: false, positions: 1 },
+    { id: 4, blockNumber: 200, complete: true, positions: 1 }
+  ]);
+  assert.deepEqual(store.list({ chainId: 1 }).map(({ id }) => id), [2]);
+});
+
+test('record indexes only the lines appended since its last write', () => {
+  const store = new SnapshotStore(file, { logger: QUIET });
+  store.record(result(100));
+  store.record(result(200));
+  const firstLine = fs.readFileSync(file, 'utf8').indexOf('\n') + 1;
+
+  // Another store appends to the same file
+  new SnapshotStore(file, { logger: QUIET }).record(result(300));
+  const appended = fs.statSync(file).size - firstLine;
+  const readSync = fs.readSync;
+  let bytesRead = 0;
+  fs.readSync = (...args) => {
+    const count = readSync(...args);
+    bytesRead += count;
+    return count;
+  };
+  try {
+    assert.equal(store.record(result(300)), null);
+    assert.equal(store.record(result(400)).id, 4);
+  } finally {
+    fs.readSync = readSync;
+  }
+  // The first line was indexed by the second write and is not read again
+  assert.equal(bytesRead, appended);
+});
+
+test('record starts a new line after a line cut short', () => {
+  const store = new SnapshotStore(file, { logger: QUIET });
+  store.record(result(100));
+  fs.appendFileSync(file, '{"id":2,"chainId"');
+
+  assert.equal(store.record(result(200)).id, 2);
+  assert.deepEqual(store.load().map(({ id }) => id), [1, 2]);
+});
+
+test('a truncated store is indexed again', () => {
+  const store = new SnapshotStore(file, { logger: QUIET });
+  store.record(result(100));
+  store.record(result(200));
+  fs.writeFileSync(file, '');
+
+  assert.equal(store.record(result(100)).id, 1);
+});
+
+test('compare diffs two snapshots of the same PMM and chain', () => {
+  const store = new SnapshotStore(file, { logger: QUIET });
+  store.record(result(100, '1000000'));
+  store.record(result(200, '-500000'));
+  const diff = store.compare(1, 2);
+
+  assert.equal(diff.pmmAddress, PMM);
+  assert.deepEqual([diff.from.snapshotId, diff.to.snapshotId], [1, 2]);
+  assert.deepEqual(diff.changes.map(({ tokenSymbol, status, deltaFormatted }) => ({ tokenSymbol, status, deltaFormatted })), [
+    { tokenSymbol: 'USDC', status: 'changed', deltaFormatted: '-1.5' }
+  ]);
+  assert.equal(diff.complete, true);
+});
+
+test('compare leaves out tokens that failed and rejects unrelated snapshots', () => {
+  const store = new SnapshotStore(file, { logger: QUIET });
+  store.record(result(100));
+  store.record(result(200, '5', { complete: false }));
+  store.record(result(300, '5', { chainId: 1 }));
+  store.record(result(400, '5', { pmmAddress: '0x0000000000000000000000000000000000000001' }));
+
+  const diff = store.compare(1, 2);
+  assert.deepEqual(diff.changes, []);
+  assert.equal(diff.complete, false);
+  assert.throws(() => store.compare(1, 3), /are on different chains/);
+  assert.throws(() => store.compare(1, 4), /are of different PMMs/);
+  assert.throws(() => store.compare(1, 9), /Snapshot 9 not found/);
+});
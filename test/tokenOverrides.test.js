@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TokenOverrides } from '../core/tokenOverrides.js';
+import { MockProvider, createMockFetcher, CHAIN_ID, PMM, address } from './helpers/mockProvider.js';
+
+const UNDERLYING = '0x55d398326f99059fF775485246999027B3197955';
+const LP_TOKEN = '0x1111111111111111111111111111111111111111';
+
+test('get finds overrides by chain and case-insensitive address', () => {
+  const overrides = new TokenOverrides({ 56: { [UNDERLYING]: { symbol: 'USDT' } } });
+  assert.deepEqual(overrides.get('56', UNDERLYING.toLowerCase()), { symbol: 'USDT' });
+  assert.equal(overrides.get(1, UNDERLYING), null);
+});
+
+test('later sources extend earlier ones field by field', () => {
+  const overrides = new TokenOverrides(
+    { 56: { [UNDERLYING]: { symbol: 'USDT', decimals: 18 } } },
+    { 56: { [UNDERLYING.toLowerCase()]: { decimals: 6 } } }
+  );
+  assert.deepEqual(overrides.get(56, UNDERLYING), { symbol: 'USDT', decimals: 6 });
+});
+
+test('resolve lets LP token fields win over underlying ones', () => {
+  const overrides = new TokenOverrides({ 56: { [UNDERLYING]: { symbol: 'USDT', name: 'Tether' }, [LP_TOKEN]: { symbol: 'nUSDT', hidden: true } } });
+  assert.deepEqual(overrides.resolve(56, UNDERLYING, LP_TOKEN), { symbol: 'nUSDT', name: 'Tether', hidden: true });
+  assert.deepEqual(overrides.resolve(56, null, LP_TOKEN), { symbol: 'nUSDT', hidden: true });
+  assert.equal(overrides.resolve(1, UNDERLYING, LP_TOKEN), null);
+});
+
+test('invalid overrides are rejected', () => {
+  for (const [override, message] of [
+    [{ colour: 'red' }, /Unknown field\(s\) colour/],
+    [{ symbol: 5 }, /symbol must be a string/],
+    [{ decimals: 256 }, /decimals must be an integer/],
+    [{ decimals: '6' }, /decimals must be an integer/],
+    [{ name: null }, /name must be a string/],
+    [{ hidden: 'yes' }, /hidden must be true or false/]
+  ]) {
+    assert.throws(() => new TokenOverrides({ 56: { [UNDERLYING]: override } }), message);
+  }
+  assert.throws(() => new TokenOverrides({ 56: { '0x123': {} } }), /Invalid address/);
+});
+
+test('the fetcher applies overrides and leaves hidden tokens out', async () => {
+  const provider = new MockProvider({
+    tokens: 3,
+    positions: { [PMM]: { [address(0x2000)]: 10n ** 18n, [address(0x2001)]: 2000000n, [address(0x2002)]: 5n } }
+  });
+  const fetcher = createMockFetcher(provider, {
+    tokenOverrides: new TokenOverrides({
+      [CHAIN_ID]: { [address(0x2000)]: { symbol: 'WBNB' }, [address(0x1001)]: { hidden: true }, [address(0x2002)]: { decimals: 0 } }
+    })
+  });
+  const result = await fetcher.listPmmPositions(PMM, CHAIN_ID);
+
+  assert.deepEqual(result.positions.map(({ tokenSymbol, positionFormatted }) => ({ tokenSymbol, positionFormatted })), [
+    { tokenSymbol: 'WBNB', positionFormatted: '1.0' },
+    { tokenSymbol: 'TK2', positionFormatted: '5' }
+  ]);
+  assert.equal(result.summary.hiddenTokens, 1);
+  assert.equal(result.complete, true);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockProvider, createMockFetcher, CHAIN_ID, PMM, address } from './helpers/mockProvider.js';
+
+function nextEvent(watcher, event) {
+  return new Promise(resolve => {
+    const listener = value => {
+      watcher.off(event, listener);
+      resolve(value);
+    };
+    watcher.on(event, listener);
+  });
+}
+
+test('the watcher emits a change when a position moves on a new block', async () => {
+  const provider = new MockProvider({ tokens: 2, positions: { [PMM]: { [address(0x2000)]: block => (block < 1001 ? 5n : 8n) } } });
+  const fetcher = createMockFetcher(provider);
+  const watcher = await fetcher.watchPmmPositions(PMM, CHAIN_ID, { interval: 5 });
+
+  try {
+    assert.equal(watcher.snapshot.blockNumber, 1000);
+    const changed = nextEvent(watcher, 'change');
+    provider.head = 1001;
+    const change = await changed;
+
+    assert.equal(change.blockNumber, 1001);
+    assert.equal(change.tokenAddress, address(0x2000));
+    assert.equal(change.status, 'changed');
+    assert.equal(change.delta, '3');
+  } finally {
+    watcher.stop();
+  }
+});
+
+test('the watcher skips reads of a block it has already seen', async () => {
+  const provider = new MockProvider({ tokens: 1 });
+  const fetcher = createMockFetcher(provider);
+  const watcher = await fetcher.watchPmmPositions(PMM, CHAIN_ID, { interval: 1000 });
+  let updates = 0;
+  watcher.on('update', () => updates++);
+
+  try {
+    await watcher.read();
+    assert.equal(updates, 0);
+    provider.head = 1001;
+    await watcher.read();
+    assert.equal(updates, 1);
+  } finally {
+    watcher.stop();
+  }
+});
+
+test('stop() ends watching and unregisters the watcher', async () => {
+  const fetcher = createMockFetcher(new MockProvider({ tokens: 1 }));
+  const watcher = await fetcher.watchPmmPositions(PMM, CHAIN_ID, { interval: 1000 });
+  const stopped = nextEvent(watcher, 'stop');
+
+  watcher.stop();
+  watcher.stop();
+  await stopped;
+  assert.equal(fetcher.watchers.has(watcher), false);
+  await assert.rejects(fetcher.watchPmmPositions(PMM, CHAIN_ID, { interval: 0 }), /Invalid watch interval/);
+});
@@ -15,6 +15,10 @@ export default defineConfig({
   },
   server: {
     port: 3000,
-    open: true
+    open: true,
+    fs: {
+      // The shared position fetcher core lives outside the web root
+      allow: ['..']
+    }
   }
 });
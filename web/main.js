@@ -1,450 +1,71 @@
-// Import ethers for client-side use
-import { ethers } from 'ethers';
-
-// Chain configurations
-const CHAIN_CONFIGS = {
-  1: {
-    name: 'Ethereum',
-    rpcUrl: 'https://eth.llamarpc.com',
-    creditVaultAddress: '0xe3D41d19564922C9952f692C5Dd0563030f5f2EF',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://etherscan.io'
-  },
-  56: {
-    name: 'BSC',
-    rpcUrl: 'https://bsc.llamarpc.com',
-    creditVaultAddress: '0xBA8dB0CAf781cAc69b6acf6C848aC148264Cc05d',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://bscscan.com'
-  },
-  42161: {
-    name: 'Arbitrum',
-    rpcUrl: 'https://arbitrum.gateway.tenderly.co',
-    creditVaultAddress: '0xbA1cf8A63227b46575AF823BEB4d83D1025eff09',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://arbiscan.io'
-  },
-  8453: {
-    name: 'Base',
-    rpcUrl: 'https://base.llamarpc.com',
-    creditVaultAddress: '0x74a4Cd023e5AfB88369E3f22b02440F2614a1367',
-    multicall3Address: '0xcA11bde05977b3631167028862bE2a173976CA11',
-    explorerUrl: 'https://basescan.org'
-  }
-};
-
-// Contract ABIs (simplified for client-side)
-const CREDIT_VAULT_ABI = [
-  "function allLPTokens(uint256 index) view returns (address)",
-  "function positions(address trader, address token) view returns (int256)"
-];
-
-const NATIVE_LP_TOKEN_ABI = [
-  "function underlying() view returns (address)",
-  "function decimals() view returns (uint8)",
-  "function symbol() view returns (string)"
-];
-
-const MULTICALL3_ABI = [
-  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
-];
-
-class PMMPositionFetcher {
-  constructor() {
-    this.providers = new Map();
-    this.multicalls = new Map();
-    this.customRpcUrl = null;
-  }
-
-  setCustomRpcUrl(rpcUrl) {
-    this.customRpcUrl = rpcUrl;
-    // Clear cached providers when RPC URL changes
-    this.providers.clear();
-    this.multicalls.clear();
-  }
-
-  async getProvider(chainId) {
-    const cacheKey = `${chainId}-${this.customRpcUrl || 'default'}`;
-    if (this.providers.has(cacheKey)) {
-      return this.providers.get(cacheKey);
-    }
-
-    const config = CHAIN_CONFIGS[chainId];
-    if (!config) {
-      throw new Error(`Unsupported chain ID: ${chainId}`);
-    }
-
-    const rpcUrl = this.customRpcUrl || config.rpcUrl;
-
-    const provider = new ethers.JsonRpcProvider(rpcUrl, chainId, {
-      polling: false,
-      staticNetwork: true,
-      batchMaxCount: 1,
-      batchStallTime: 0,
-      batchMaxSize: 1
-    });
-
-    this.providers.set(cacheKey, provider);
-    return provider;
-  }
-
-  async getCreditVaultContract(chainId) {
-    const provider = await this.getProvider(chainId);
-    const config = CHAIN_CONFIGS[chainId];
-    return new ethers.Contract(config.creditVaultAddress, CREDIT_VAULT_ABI, provider);
-  }
-
-  async getMulticall(chainId) {
-    if (this.multicalls.has(chainId)) {
-      return this.multicalls.get(chainId);
-    }
-
-    const provider = await this.getProvider(chainId);
-    const config = CHAIN_CONFIGS[chainId];
-    const multicall = new ethers.Contract(config.multicall3Address, MULTICALL3_ABI, provider);
-    this.multicalls.set(chainId, multicall);
-    return multicall;
-  }
-
-  async getAllLPTokens(chainId, blockNumber = null, debug = false) {
-    if (debug) this.log(`Fetching all LP tokens for chain ${chainId}...`);
-    
-    const creditVault = await this.getCreditVaultContract(chainId);
-    
+// Import the shared position fetcher core
+import { PMMPositionFetcher } from '../core/positionFetcher.js';
+import { AssetRegistry } from '../core/assetRegistry.js';
+import { TokenOverrides } from '../core/tokenOverrides.js';
+import assets from '../data/assets.json';
+import tokenOverrides from '../data/token-overrides.json';
+
+/**
+ * Append a log line to the Logs tab
+ */
+function appendLog(...args) {
+  const message = args.map(arg => {
+    if (arg instanceof Error) return arg.message;
+    if (typeof arg !== 'object' || arg === null) return String(arg);
     try {
-      const lpTokens = [];
-      let index = 0;
-      let foundTokens = 0;
-      
-      if (debug) this.log(`Fetching LP tokens by index until revert...`);
-      
-      while (true) {
-        try {
-          const lpTokenAddress = await creditVault.allLPTokens(index, { blockTag: blockNumber });
-          
-          if (lpTokenAddress && lpTokenAddress !== ethers.ZeroAddress) {
-            lpTokens.push(lpTokenAddress);
-            foundTokens++;
-            if (debug) this.log(`  ${foundTokens}: ${lpTokenAddress}`);
-          } else {
-            break;
-          }
-          
-          index++;
-          
-          if (index > 1000) {
-            if (debug) this.log(`Reached safety limit of 1000 tokens, stopping`);
-            break;
-          }
-        } catch (error) {
-          if (error.message.includes('revert') || error.message.includes('execution reverted')) {
-            if (debug) this.log(`Reached end of LP tokens array at index ${index}`);
-            break;
-          } else {
-            if (debug) this.log(`Error at index ${index}: ${error.message}`);
-            break;
-          }
-        }
-      }
-      
-      if (debug) this.log(`Found ${foundTokens} LP tokens`);
-      return lpTokens;
+      return JSON.stringify(arg);
     } catch (error) {
-      this.log(`Error fetching LP tokens: ${error.message}`);
-      throw error;
-    }
-  }
-
-  async batchGetUnderlyingTokens(chainId, lpTokenAddresses, blockNumber = null, debug = false) {
-    if (debug) this.log(`Batch fetching underlying tokens for ${lpTokenAddresses.length} LP tokens...`);
-    
-    const multicall = await this.getMulticall(chainId);
-    const batchSize = 10;
-    const tokenData = [];
-    
-    for (let i = 0; i < lpTokenAddresses.length; i += batchSize) {
-      const batch = lpTokenAddresses.slice(i, i + batchSize);
-      if (debug) this.log(`  Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(lpTokenAddresses.length / batchSize)}: ${batch.length} tokens`);
-      
-      const batchCalls = [];
-      
-      for (const lpTokenAddress of batch) {
-        const lpTokenContract = new ethers.Contract(lpTokenAddress, NATIVE_LP_TOKEN_ABI, null);
-        
-        batchCalls.push({
-          target: lpTokenAddress,
-          allowFailure: true,
-          callData: lpTokenContract.interface.encodeFunctionData('underlying', [])
-        });
-        batchCalls.push({
-          target: lpTokenAddress,
-          allowFailure: true,
-          callData: lpTokenContract.interface.encodeFunctionData('decimals', [])
-        });
-        batchCalls.push({
-          target: lpTokenAddress,
-          allowFailure: true,
-          callData: lpTokenContract.interface.encodeFunctionData('symbol', [])
-        });
-      }
-      
-      try {
-        const results = await multicall.aggregate3.staticCall(batchCalls, { blockTag: blockNumber, value: 0 });
-        
-        for (let j = 0; j < batch.length; j++) {
-          const lpTokenAddress = batch[j];
-          const underlyingResult = results[j * 3];
-          const decimalsResult = results[j * 3 + 1];
-          const symbolResult = results[j * 3 + 2];
-
-          if (underlyingResult.success && decimalsResult.success && symbolResult.success) {
-            try {
-              const underlyingAddress = ethers.AbiCoder.defaultAbiCoder().decode(['address'], underlyingResult.returnData)[0];
-              const decimals = Number(ethers.AbiCoder.defaultAbiCoder().decode(['uint8'], decimalsResult.returnData)[0]);
-              const symbol = ethers.AbiCoder.defaultAbiCoder().decode(['string'], symbolResult.returnData)[0];
-
-              if (underlyingAddress && underlyingAddress !== ethers.ZeroAddress) {
-                tokenData.push({ lpTokenAddress, underlyingAddress, decimals, symbol, isLPToken: true });
-                if (debug) this.log(`    ${i + j + 1}/${lpTokenAddresses.length}: ${underlyingAddress} (${symbol}, ${decimals} decimals)`);
-              } else {
-                tokenData.push({ lpTokenAddress, underlyingAddress: lpTokenAddress, decimals: 18, symbol: 'LP', isLPToken: false });
-                if (debug) this.log(`    ${i + j + 1}/${lpTokenAddresses.length}: Using LP token as underlying (LP, 18 decimals fallback)`);
-              }
-            } catch (decodeError) {
-              this.log(`Failed to decode token ${i + j + 1}: ${decodeError.message}`);
-              tokenData.push({ lpTokenAddress, underlyingAddress: lpTokenAddress, decimals: 18, symbol: 'LP', isLPToken: false });
-            }
-          } else {
-            if (debug) this.log(`Failed to fetch data for token ${i + j + 1}, using fallback`);
-            tokenData.push({ lpTokenAddress, underlyingAddress: lpTokenAddress, decimals: 18, symbol: 'LP', isLPToken: false });
-          }
-        }
-      } catch (error) {
-        this.log(`Batch ${Math.floor(i / batchSize) + 1} failed, falling back to individual calls: ${error.message}`);
-        // Fallback to individual calls
-        for (const lpTokenAddress of batch) {
-          try {
-            const lpTokenContract = new ethers.Contract(lpTokenAddress, NATIVE_LP_TOKEN_ABI, await this.getProvider(chainId));
-            const underlyingAddress = await lpTokenContract.underlying({ blockTag: blockNumber });
-            const decimals = await lpTokenContract.decimals({ blockTag: blockNumber });
-            const symbol = await lpTokenContract.symbol({ blockTag: blockNumber });
-
-            if (underlyingAddress && underlyingAddress !== ethers.ZeroAddress) {
-              tokenData.push({ lpTokenAddress, underlyingAddress, decimals: Number(decimals), symbol, isLPToken: true });
-            } else {
-              tokenData.push({ lpTokenAddress, underlyingAddress: lpTokenAddress, decimals: 18, symbol: 'LP', isLPToken: false });
-            }
-          } catch (error) {
-            tokenData.push({ lpTokenAddress, underlyingAddress: lpTokenAddress, decimals: 18, symbol: 'LP', isLPToken: false });
-          }
-        }
-      }
-    }
-    
-    return tokenData;
-  }
-
-  async batchGetPositions(chainId, traderAddress, tokenAddresses, blockNumber = null, debug = false) {
-    if (debug) this.log(`Batch fetching positions for ${tokenAddresses.length} tokens...`);
-    
-    const creditVault = await this.getCreditVaultContract(chainId);
-    const multicall = await this.getMulticall(chainId);
-    const batchSize = 20;
-    const positions = [];
-    
-    for (let i = 0; i < tokenAddresses.length; i += batchSize) {
-      const batch = tokenAddresses.slice(i, i + batchSize);
-      if (debug) this.log(`  Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(tokenAddresses.length / batchSize)}: ${batch.length} tokens`);
-      
-      const batchCalls = [];
-      
-      for (const tokenAddress of batch) {
-        batchCalls.push({
-          target: creditVault.target,
-          allowFailure: true,
-          callData: creditVault.interface.encodeFunctionData('positions', [traderAddress, tokenAddress])
-        });
-      }
-      
-      try {
-        const results = await multicall.aggregate3.staticCall(batchCalls, { blockTag: blockNumber, value: 0 });
-        
-        for (let j = 0; j < batch.length; j++) {
-          const tokenAddress = batch[j];
-          const result = results[j];
-          
-          if (result.success) {
-            try {
-              const position = ethers.AbiCoder.defaultAbiCoder().decode(['int256'], result.returnData)[0];
-              positions.push({
-                tokenAddress,
-                position: position.toString(),
-                success: true
-              });
-            } catch (decodeError) {
-              this.log(`Failed to decode position for token ${tokenAddress}: ${decodeError.message}`);
-              positions.push({
-                tokenAddress,
-                position: '0',
-                success: false
-              });
-            }
-          } else {
-            positions.push({
-              tokenAddress,
-              position: '0',
-              success: false
-            });
-          }
-        }
-      } catch (error) {
-        this.log(`Position batch ${Math.floor(i / batchSize) + 1} failed: ${error.message}`);
-        // Fallback to individual calls
-        for (const tokenAddress of batch) {
-          try {
-            const position = await creditVault.positions(traderAddress, tokenAddress, { blockTag: blockNumber });
-            positions.push({
-              tokenAddress,
-              position: position.toString(),
-              success: true
-            });
-          } catch (error) {
-            positions.push({
-              tokenAddress,
-              position: '0',
-              success: false
-            });
-          }
-        }
-      }
-    }
-    
-    return positions;
-  }
-
-  async listPmmPositions(pmmAddress, chainId, targetBlock = null, debug = false) {
-    const startTime = Date.now();
-    
-    if (debug) {
-      this.log(`Starting PMM position fetch...`);
-      this.log(`   PMM Address: ${pmmAddress}`);
-      this.log(`   Chain ID: ${chainId}`);
-      this.log(`   Target Block: ${targetBlock || 'latest'}`);
-    }
-
-    if (!ethers.isAddress(pmmAddress)) {
-      throw new Error(`Invalid PMM address: ${pmmAddress}`);
-    }
-
-    const config = CHAIN_CONFIGS[chainId];
-    if (!config) {
-      throw new Error(`Unsupported chain ID: ${chainId}`);
+      return String(arg);
     }
+  }).join(' ');
 
-    try {
-      if (debug) this.log('Step 1: Fetching all LP tokens...');
-      const lpTokens = await this.getAllLPTokens(chainId, targetBlock, debug);
-      
-      if (lpTokens.length === 0) {
-        if (debug) this.log('No LP tokens found');
-        return {
-          chainId,
-          chainName: config.name,
-          pmmAddress,
-          targetBlock: targetBlock || 'latest',
-          positions: [],
-          summary: {
-            totalTokens: 0,
-            tokensWithPositions: 0,
-            fetchTime: Date.now() - startTime
-          }
-        };
-      }
+  const timestamp = new Date().toLocaleTimeString();
+  const logEntry = document.createElement('div');
+  logEntry.className = 'log-entry';
 
-      if (debug) this.log('\nStep 2: Resolving underlying tokens using multicall...');
-      const tokenData = await this.batchGetUnderlyingTokens(chainId, lpTokens, targetBlock, debug);
+  const timestampSpan = document.createElement('span');
+  timestampSpan.className = 'log-timestamp';
+  timestampSpan.textContent = `[${timestamp}]`;
 
-      if (debug) this.log('\nStep 3: Fetching positions using multicall...');
-      const underlyingAddresses = tokenData.map(t => t.underlyingAddress);
-      const positionResults = await this.batchGetPositions(chainId, pmmAddress, underlyingAddresses, targetBlock, debug);
-      
-      const positions = [];
-
-      for (let i = 0; i < tokenData.length; i++) {
-        const { lpTokenAddress, underlyingAddress, decimals, symbol, isLPToken } = tokenData[i];
-        const positionResult = positionResults[i];
-        
-        if (debug) this.log(`  ${i + 1}/${tokenData.length}: ${underlyingAddress} (${symbol})`);
-        
-        if (positionResult.success && positionResult.position !== '0') {
-          const position = BigInt(positionResult.position);
-          const positionData = {
-            tokenAddress: underlyingAddress,
-            tokenSymbol: symbol,
-            lpTokenAddress: isLPToken ? lpTokenAddress : null,
-            position: position.toString(),
-            positionFormatted: ethers.formatUnits(position, decimals),
-            decimals: decimals
-          };
-          
-          positions.push(positionData);
-          
-          if (debug) this.log(`    → Position: ${ethers.formatUnits(position, decimals)} ${symbol}`);
-        } else {
-          if (debug) this.log(`    → No position`);
-        }
-      }
+  const messageSpan = document.createElement('span');
+  messageSpan.className = 'log-message';
+  messageSpan.textContent = message;
 
-      const endTime = Date.now();
-      const fetchTime = endTime - startTime;
-
-      if (debug) {
-        this.log('\nPosition fetch completed!');
-        this.log(`   Total tokens checked: ${tokenData.length}`);
-        this.log(`   Tokens with positions: ${positions.length}`);
-        this.log(`   Fetch time: ${fetchTime}ms`);
-      }
-
-      return {
-        chainId,
-        chainName: config.name,
-        pmmAddress,
-        targetBlock: targetBlock || 'latest',
-        positions,
-        summary: {
-          totalTokens: tokenData.length,
-          tokensWithPositions: positions.length,
-          fetchTime
-        }
-      };
-
-    } catch (error) {
-      this.log(`Error: ${error.message}`);
-      throw error;
-    }
-  }
+  logEntry.append(timestampSpan, messageSpan);
 
-  log(message) {
-    const timestamp = new Date().toLocaleTimeString();
-    const logEntry = document.createElement('div');
-    logEntry.className = 'log-entry';
-    logEntry.innerHTML = `<span class="log-timestamp">[${timestamp}]</span><span class="log-message">${message}</span>`;
-    
-    const logsOutput = document.getElementById('logsOutput');
-    logsOutput.appendChild(logEntry);
-    logsOutput.scrollTop = logsOutput.scrollHeight;
-  }
+  const logsOutput = document.getElementById('logsOutput');
+  logsOutput.appendChild(logEntry);
+  logsOutput.scrollTop = logsOutput.scrollHeight;
+}
 
-  cleanup() {
-    this.providers.clear();
-    this.multicalls.clear();
-  }
+/**
+ * Escape a value for HTML: token symbols, names and warnings come from
+ * on-chain strings or override files
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
+// console-compatible logger that writes to the Logs tab
+const domLogger = {
+  log: appendLog,
+  warn: appendLog,
+  error: appendLog
+};
+
 // UI Logic
 class UI {
   constructor() {
-    this.fetcher = new PMMPositionFetcher();
+    this.fetcher = new PMMPositionFetcher({
+      logger: domLogger,
+      assetRegistry: new AssetRegistry(assets),
+      tokenOverrides: new TokenOverrides(tokenOverrides)
+    });
     this.initializeEventListeners();
   }
 
@@ -475,16 +96,24 @@ class UI {
     const pmmAddress = document.getElementById('pmmAddress').value.trim();
     const chainId = parseInt(document.getElementById('chainId').value);
     const targetBlock = document.getElementById('targetBlock').value.trim();
+    const targetTime = document.getElementById('targetTime').value.trim();
+    const blockMode = document.getElementById('blockMode').value;
     const rpcUrl = document.getElementById('rpcUrl').value.trim();
     const debugMode = document.getElementById('debugMode').checked;
     
-    const targetBlockNumber = targetBlock ? parseInt(targetBlock) : null;
+    // An explicit block number wins over a target time, which wins over the block mode
+    let targetBlockNumber = blockMode;
+    if (targetBlock) {
+      targetBlockNumber = parseInt(targetBlock);
+    } else if (targetTime) {
+      targetBlockNumber = /^\d+$/.test(targetTime) ? `@${targetTime}` : targetTime;
+    }
     
     // Set custom RPC URL if provided
     if (rpcUrl) {
       this.fetcher.setCustomRpcUrl(rpcUrl);
       if (debugMode) {
-        this.fetcher.log(`Using custom RPC URL: ${rpcUrl}`);
+        appendLog(`Using custom RPC URL: ${rpcUrl}`);
       }
     } else {
       this.fetcher.setCustomRpcUrl(null);
@@ -502,7 +131,12 @@ class UI {
       );
       
       this.displayResults(result);
-      this.showSuccess('Positions fetched successfully!');
+      if (result.complete) {
+        this.showSuccess('Positions fetched successfully!');
+      } else {
+        const failures = result.errors.map(error => `${error.tokenSymbol} ${error.tokenAddress} (${error.stage}: ${error.reason})`);
+        this.showError(`${result.errors.length} token lookup(s) failed, positions may be missing: ${failures.join('; ')}`);
+      }
       
     } catch (error) {
       this.showError(`Error: ${error.message}`);
@@ -535,7 +169,7 @@ class UI {
   displayResults(result) {
     const positionsOutput = document.getElementById('positionsOutput');
     
-    if (result.positions.length === 0) {
+    if (result.positions.length === 0 && result.complete) {
       positionsOutput.innerHTML = '<p class="placeholder">No positions found for this address</p>';
       return;
     }
@@ -556,6 +190,16 @@ class UI {
             <strong>${result.summary.fetchTime}ms</strong>
             <span>Fetch Time</span>
           </div>
+          <div class="summary-item">
+            <strong>${result.blockNumber}</strong>
+            <span>Block (${new Date(result.blockTimestamp * 1000).toISOString()})</span>
+          </div>
+          ${result.requestedTime ? `
+          <div class="summary-item">
+            <strong>${escapeHtml(result.requestedTime)}</strong>
+            <span>Requested Time</span>
+          </div>
+          ` : ''}
         </div>
       </div>
     `;
@@ -566,23 +210,47 @@ class UI {
       
       html += `
         <div class="position-item">
-          <h3>${position.tokenSymbol}</h3>
-          <div class="position-amount ${amountClass}">${position.positionFormatted} ${position.tokenSymbol}</div>
+          <h3>${escapeHtml(position.tokenSymbol)}</h3>
+          <div class="position-amount ${amountClass}">${position.positionFormatted} ${escapeHtml(position.tokenSymbol)}</div>
           <div class="position-details">
             <div class="position-detail">
               <strong>Token Address:</strong>
               <span>${position.tokenAddress}</span>
             </div>
+            ${position.canonicalAsset ? `
+            <div class="position-detail">
+              <strong>Canonical Asset:</strong>
+              <span>${escapeHtml(position.canonicalAsset)}</span>
+            </div>
+            ` : ''}
             ${position.lpTokenAddress ? `
             <div class="position-detail">
               <strong>LP Token Address:</strong>
               <span>${position.lpTokenAddress}</span>
             </div>
             ` : ''}
+            ${position.tokenName ? `
+            <div class="position-detail">
+              <strong>Name:</strong>
+              <span>${escapeHtml(position.tokenName)}</span>
+            </div>
+            ` : ''}
             <div class="position-detail">
               <strong>Decimals:</strong>
-              <span>${position.decimals}</span>
+              <span>${position.decimals}${position.metadataSource !== 'underlying' ? ` (from ${position.metadataSource === 'lp' ? 'LP token' : 'fallback'})` : ''}</span>
             </div>
+            ${position.overrides ? `
+            <div class="position-detail">
+              <strong>Overridden:</strong>
+              <span>${escapeHtml(position.overrides.join(', '))}</span>
+            </div>
+            ` : ''}
+            ${position.metadataWarnings ? `
+            <div class="position-detail">
+              <strong>Metadata Warnings:</strong>
+              <span>${escapeHtml(position.metadataWarnings.join('; '))}</span>
+            </div>
+            ` : ''}
             <div class="position-detail">
               <strong>Raw Position:</strong>
               <span>${position.position}</span>
@@ -22,6 +22,10 @@ export default defineConfig({
   },
   server: {
     port: 3000,
-    open: true
+    open: true,
+    fs: {
+      // The shared position fetcher core lives outside the web root
+      allow: ['..']
+    }
   }
 });